@@ -0,0 +1,129 @@
+// @path: api-keys.js
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import {
+  insertApiKey,
+  getApiKeyForAuth,
+  getApiKey,
+  touchApiKey,
+  revokeApiKey as revokeApiKeyStmt,
+  expireApiKey,
+  setApiKeySessions,
+  runInTransaction,
+} from './database.js';
+
+dotenv.config();
+
+export const API_KEY_SCOPES = ['read', 'send', 'admin'];
+
+const KEY_PREFIX = 'wami';
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const ROOT_KEY = process.env.ADMIN_API_KEY || null;
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest();
+
+const safeEqual = (a, b) => a.length === b.length && crypto.timingSafeEqual(a, b);
+
+export const toApiKey = row => row && ({
+  id: row.id,
+  name: row.name,
+  scopes: JSON.parse(row.scopes),
+  global: !!row.is_global,
+  sessions: JSON.parse(row.sessions || '[]'),
+  createdAt: row.created_at,
+  expiresAt: row.expires_at,
+  revokedAt: row.revoked_at,
+  lastUsedAt: row.last_used_at,
+});
+
+/**
+ * Creates a key and returns its record together with the plaintext key,
+ * which is never stored and cannot be recovered afterwards. Only `global`
+ * admin keys manage the whole server; the flag never changes afterwards.
+ */
+export function createApiKey({ name = null, scopes, sessions = [], global = false, expiresAt = null }) {
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  runInTransaction(() => {
+    insertApiKey.run({
+      id,
+      name,
+      key_hash: sha256(secret).toString('hex'),
+      scopes: JSON.stringify([...new Set(scopes)]),
+      is_global: global ? 1 : 0,
+      created_at: Date.now(),
+      expires_at: expiresAt,
+    });
+    setApiKeySessions(id, [...new Set(sessions)]);
+  });
+
+  return { ...toApiKey(getApiKey.get({ id })), key: `${KEY_PREFIX}_${id}_${secret}` };
+}
+
+/**
+ * Resolves a presented bearer token to its key record, or null when the
+ * token is unknown, revoked or expired. `ADMIN_API_KEY` from the
+ * environment is accepted as a root admin key for bootstrapping.
+ */
+export function verifyApiKey(token) {
+  if (typeof token !== 'string' || !token) return null;
+
+  if (ROOT_KEY && safeEqual(sha256(token), sha256(ROOT_KEY))) {
+    return { id: 'root', name: 'ADMIN_API_KEY', scopes: ['admin'], global: true, sessions: [] };
+  }
+
+  const [prefix, id, secret] = token.split('_');
+  if (prefix !== KEY_PREFIX || !id || !secret) return null;
+
+  const row = getApiKeyForAuth.get({ id });
+  if (!row || !safeEqual(sha256(secret), Buffer.from(row.key_hash, 'hex'))) return null;
+
+  const now = Date.now();
+  if (row.revoked_at || (row.expires_at && row.expires_at <= now)) return null;
+
+  if (!row.last_used_at || now - row.last_used_at > TOUCH_INTERVAL_MS) {
+    touchApiKey.run({ id, now });
+  }
+  return toApiKey(row);
+}
+
+// `admin` implies every scope and `send` implies `read`.
+export const hasScope = (key, scope) =>
+  key.scopes.includes('admin') || key.scopes.includes(scope) ||
+  (scope === 'read' && key.scopes.includes('send'));
+
+// Global admin keys (including the root key) manage the whole server; other
+// admin keys are limited to their sessions like any other key, and keep no
+// access at all once those sessions are deleted.
+export const isGlobalAdmin = key => key.global && key.scopes.includes('admin');
+
+export const canAccessSession = (key, sessionId) =>
+  isGlobalAdmin(key) || key.sessions.includes(sessionId);
+
+/**
+ * Issues a replacement key with the same name, scopes, sessions and expiry.
+ * The old key is revoked immediately, or keeps working for `graceSeconds`.
+ */
+export function rotateApiKey(id, { graceSeconds = 0 } = {}) {
+  const current = toApiKey(getApiKey.get({ id }));
+  if (!current || current.revokedAt) return null;
+
+  const replacement = createApiKey({
+    name: current.name,
+    scopes: current.scopes,
+    sessions: current.sessions,
+    global: current.global,
+    expiresAt: current.expiresAt,
+  });
+
+  const now = Date.now();
+  if (graceSeconds > 0) {
+    expireApiKey.run({ id, expires_at: now + graceSeconds * 1000 });
+  } else {
+    revokeApiKeyStmt.run({ id, now });
+  }
+  return replacement;
+}
+
+export const revokeApiKey = id => revokeApiKeyStmt.run({ id, now: Date.now() }).changes > 0;
@@ -1,77 +1,161 @@
 // @path: app.js
 import express from 'express';
 import http from 'http';
+import cluster from 'cluster';
 import { Server } from 'socket.io';
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
 
-import { createWhatsappSession } from './whatsapp-service.js';
+import { createWhatsappSession, pauseSession } from './whatsapp-service.js';
+import * as database from './database.js';
 import { db, deleteSessionData } from './database.js';
 import { runCleanupWorker } from './workers/cleanupWorker.js';
+import { dispatchWebhooks, startWebhookWorker } from './webhooks.js';
+import { resetInterruptedJobs, startScheduler } from './scheduler.js';
+import { startOutboxPruner } from './outbox.js';
+import { sessions } from './sessions.js';
+import { attachSocketGateway, emitToSession } from './socket-gateway.js';
+import { executeCommand } from './socket-commands.js';
+import { appendEvent, forgetEventLog, isReplayable } from './event-log.js';
+import { instrumentStatements } from './metrics.js';
+import { forgetSessionActivity, recordConnectedClients, registerSession } from './session-info.js';
 
 import sessionRoutes from './routes/session.js';
+import sessionAdminRoutes from './routes/sessions.js';
 import chatRoutes from './routes/chat.js';
 import messageRoutes from './routes/message.js';
 import mediaRoutes from './routes/media.js';
+import searchRoutes from './routes/search.js';
+import webhookRoutes from './routes/webhook.js';
+import keyRoutes from './routes/keys.js';
+import scheduledRoutes from './routes/scheduled.js';
+import groupRoutes from './routes/group.js';
+import contactRoutes from './routes/contact.js';
+import presenceRoutes from './routes/presence.js';
+import eventRoutes from './routes/events.js';
+import metricsRoutes from './routes/metrics.js';
 
 dotenv.config();
+instrumentStatements(database);
+
+// Under `supervisor.js` this process is one of several workers: it runs the
+// sessions the supervisor assigns, serves HTTP only to the supervisor and
+// hands events to it for the Socket.IO clients it hosts.
+const isWorker = cluster.isWorker;
 
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: process.env.CORS_ORIGIN || '*' } });
-app.set('io', io);
+const io = isWorker ? null : new Server(server, { cors: { origin: process.env.CORS_ORIGIN || '*' } });
 
 const PORT = process.env.PORT || 3007;
 const SESSIONS_DIR = process.env.SESSIONS_DIR || './auth_sessions';
 const AUTH_SESSIONS_DIR = path.resolve('./auth_sessions');
-export const sessions = new Map();
+// Sessions idle for this long are paused by the cleanup; unset, they are left alone.
+const IDLE_PAUSE_MS = Number(process.env.IDLE_SESSION_PAUSE_HOURS) * 60 * 60 * 1000 || null;
 
 if (!fs.existsSync(SESSIONS_DIR)) fs.mkdirSync(SESSIONS_DIR, { recursive: true });
 
 app.use(express.json());
 
-io.use((socket, next) => {
-  const sid = socket.handshake.auth.token;
-  if (sessions.has(sid)) return next();
-  next(new Error('Invalid session'));
-});
-
-io.on('connection', socket => {
-  const sid = socket.handshake.auth.token;
-  const session = sessions.get(sid);
-  if (!session) return socket.disconnect(true);
+const setConnectedClients = (id, count) => {
+  const session = sessions.get(id);
+  if (session) recordConnectedClients(session, count);
+};
 
-  socket.join(sid);
-  if (session.isAuthenticated) socket.emit('authenticated');
-});
+if (io) {
+  app.set('io', io);
+  attachSocketGateway(io, { executeCommand, onClientsChange: setConnectedClients });
+}
 
 app.use('/session', sessionRoutes);
+app.use(sessionAdminRoutes);
 app.use(chatRoutes);
 app.use(messageRoutes);
 app.use(mediaRoutes);
+app.use(searchRoutes);
+app.use(webhookRoutes);
+app.use(keyRoutes);
+app.use(scheduledRoutes);
+app.use(groupRoutes);
+app.use(contactRoutes);
+app.use(presenceRoutes);
+app.use(eventRoutes);
+app.use(metricsRoutes);
 
 export const createOnLogout = (id) => () => {
   fs.rmSync(path.join(SESSIONS_DIR, id), { recursive: true, force: true });
   deleteSessionData(id);
+  forgetEventLog(id);
+  forgetSessionActivity(id);
   sessions.delete(id);
+  if (isWorker) process.send({ type: 'session-stopped', id });
 };
 
+// Everything the WhatsApp service emits for a session goes to its Socket.IO
+// room and to any webhooks registered for it. Replayable events are logged
+// first to get their sequence number.
+const createSessionEmitter = id => ({
+  emit(event, payload) {
+    const seq = isReplayable(event) ? appendEvent(id, event, payload) : null;
+    if (isWorker) process.send({ type: 'event', sessionId: id, event, payload, seq });
+    else emitToSession(io, id, event, payload, seq);
+    dispatchWebhooks(id, event, payload);
+  },
+});
+
+export function startSession(id, { phoneNumber = null, label = null } = {}) {
+  const { paused, lastActivityAt } = registerSession(id, label);
+  const session = {
+    id,
+    sock: null,
+    isAuthenticated: false,
+    latestQR: null,
+    loginMethod: phoneNumber ? 'pairing' : 'qr',
+    pairingPhoneNumber: phoneNumber,
+    paused: !!paused,
+    lastActivity: lastActivityAt,
+    io: createSessionEmitter(id),
+  };
+  sessions.set(id, session);
+  resetInterruptedJobs(id);
+  // A paused session keeps its credentials but stays offline until resumed.
+  if (!session.paused) createWhatsappSession(session, createOnLogout(id));
+  if (isWorker) process.send({ type: 'session-started', id });
+  return session;
+}
+
+if (isWorker) {
+  process.on('message', message => {
+    if (message.type === 'start-session') {
+      if (!sessions.has(message.id)) startSession(message.id);
+    } else if (message.type === 'clients') {
+      setConnectedClients(message.id, message.count);
+    } else if (message.type === 'command') {
+      executeCommand(message.auth, message.name, message.payload).then(result =>
+        process.send({ type: 'command-result', requestId: message.requestId, result })
+      );
+    }
+  });
+}
+
 function restoreSessions() {
   if (!fs.existsSync(SESSIONS_DIR)) return;
   fs.readdirSync(SESSIONS_DIR).forEach(id => {
+    if (id.startsWith('.')) return;
     const fullPath = path.join(SESSIONS_DIR, id);
-    if (fs.statSync(fullPath).isDirectory()) {
-      const session = { id, sock: null, isAuthenticated: false, latestQR: null, io: io.to(id) };
-      sessions.set(id, session);
-      createWhatsappSession(session, createOnLogout(id));
-    }
+    if (fs.statSync(fullPath).isDirectory()) startSession(id);
   });
 }
 
-const listener = server.listen(PORT, () => {
+// Workers are only reached through the supervisor, which assigns their sessions.
+const listener = server.listen(PORT, isWorker ? '127.0.0.1' : undefined, () => {
   console.log(`Listening on port ${PORT}`);
-  restoreSessions();
+  if (isWorker) process.send({ type: 'ready' });
+  else restoreSessions();
+  startWebhookWorker(isWorker ? sessions : null);
+  startOutboxPruner(isWorker ? sessions : null);
+  startScheduler(sessions);
 
   // Run cleanup on startup
   runCleanupWorker({
@@ -79,7 +163,10 @@ const listener = server.listen(PORT, () => {
     SESSIONS_DIR,
     AUTH_SESSIONS_DIR,
     createOnLogout,
-    logger: console
+    pauseSession,
+    idlePauseMs: IDLE_PAUSE_MS,
+    logger: console,
+    cleanOrphans: !isWorker
   });
 });
 
@@ -90,7 +177,10 @@ setInterval(() => {
     SESSIONS_DIR,
     AUTH_SESSIONS_DIR,
     createOnLogout,
-    logger: console
+    pauseSession,
+    idlePauseMs: IDLE_PAUSE_MS,
+    logger: console,
+    cleanOrphans: !isWorker
   });
 }, 8 * 60 * 60 * 1000); // 8 hours in milliseconds
 
@@ -102,12 +192,14 @@ setInterval(() => {
       SESSIONS_DIR,
       AUTH_SESSIONS_DIR,
       createOnLogout,
-      logger: console
+      logger: console,
+      cleanOrphans: !isWorker
     });
 
     listener.close(() => {
       sessions.forEach(s => s.sock?.end?.(new Error('Server shutting down')));
-      db.close(() => process.exit(0));
+      db.close();
+      process.exit(0);
     });
   })
 );
@@ -0,0 +1,213 @@
+// @path: chats.js
+import {
+  upsertChat,
+  getChat,
+  resetChatUnreadCount,
+  setChatMarkedUnread,
+  markChatReadUpTo,
+  getLatestIncomingMessages,
+  getLatestChatMessage,
+  getMessageKeyDetails,
+  setChatArchived,
+  setChatPinnedAt,
+  setChatMutedUntil,
+  clearChatMessages,
+  deleteStoredChat,
+  runInTransaction,
+} from './database.js';
+
+const isGroup = jid => jid.endsWith('@g.us');
+
+// Read receipts are sent for at most this many of a chat's newest unread messages.
+const MAX_READ_RECEIPTS = 100;
+
+// WhatsApp allows this many pinned chats.
+export const MAX_PINNED_CHATS = 3;
+
+export const toChat = row => row && ({
+  ...row,
+  markedUnread: !!row.markedUnread,
+  archived: !!row.archived,
+  muted: row.mutedUntil === -1 || row.mutedUntil > Date.now(),
+});
+
+export const loadChat = (sessionId, jid) => toChat(getChat.get({ session_id: sessionId, jid }));
+
+const chatState = row => row && JSON.stringify(row);
+
+/**
+ * Runs `change` and emits `chat-update` for each of `jids` whose stored
+ * state it changed.
+ */
+export function updateChats(session, jids, change) {
+  const before = new Map(jids.map(jid => [jid, chatState(getChat.get({ session_id: session.id, jid }))]));
+  runInTransaction(change);
+  for (const jid of jids) {
+    const row = getChat.get({ session_id: session.id, jid });
+    if (row && chatState(row) !== before.get(jid)) session.io.emit('chat-update', toChat(row));
+  }
+}
+
+// `chatModify` needs the chat's newest message to tell which messages the change covers.
+function lastMessagesFor(sessionId, jid) {
+  const row = getLatestChatMessage.get({ session_id: sessionId, jid });
+  if (!row) return [];
+  return [{
+    key: {
+      remoteJid: jid,
+      id: row.message_id,
+      fromMe: !!row.isOutgoing,
+      ...(!row.isOutgoing && row.participant && { participant: row.participant }),
+    },
+    messageTimestamp: Math.floor(row.timestamp / 1000),
+  }];
+}
+
+/**
+ * Sends read receipts for the chat's unread messages, marks it read on the
+ * account's other devices and clears the local unread state.
+ */
+export async function markChatRead(session, jid) {
+  const chat = getChat.get({ session_id: session.id, jid });
+  if (!chat) return null;
+  if (!chat.unreadCount && !chat.markedUnread) return toChat(chat);
+
+  if (chat.unreadCount > 0) {
+    const unread = getLatestIncomingMessages.all({
+      session_id: session.id,
+      jid,
+      limit: Math.min(chat.unreadCount, MAX_READ_RECEIPTS),
+    });
+    if (unread.length) {
+      await session.sock.readMessages(unread.map(row => ({
+        remoteJid: jid,
+        id: row.message_id,
+        fromMe: false,
+        ...(row.participant && { participant: row.participant }),
+      })));
+    }
+  }
+
+  const lastMessages = lastMessagesFor(session.id, jid);
+  if (lastMessages.length) await session.sock.chatModify({ markRead: true, lastMessages }, jid);
+
+  updateChats(session, [jid], () => resetChatUnreadCount.run({ session_id: session.id, jid }));
+  return loadChat(session.id, jid);
+}
+
+export async function markChatUnread(session, jid) {
+  const chat = getChat.get({ session_id: session.id, jid });
+  if (!chat) return null;
+
+  const lastMessages = lastMessagesFor(session.id, jid);
+  if (lastMessages.length) await session.sock.chatModify({ markRead: false, lastMessages }, jid);
+
+  updateChats(session, [jid], () => setChatMarkedUnread.run({ session_id: session.id, jid, marked_unread: 1 }));
+  return loadChat(session.id, jid);
+}
+
+/**
+ * Archives, pins or mutes a chat on WhatsApp and stores the result. `changes`
+ * holds any of `archived`, `pinned` and `mutedUntil` (ms timestamp, -1 for
+ * always, null to unmute).
+ */
+export async function modifyChat(session, jid, changes) {
+  const key = { session_id: session.id, jid };
+  if (changes.archived !== undefined) {
+    await session.sock.chatModify({ archive: changes.archived, lastMessages: lastMessagesFor(session.id, jid) }, jid);
+    // Pinned chats can't be archived, so WhatsApp unpins them.
+    updateChats(session, [jid], () => {
+      setChatArchived.run({ ...key, archived: changes.archived ? 1 : 0 });
+      if (changes.archived) setChatPinnedAt.run({ ...key, pinned_at: null });
+    });
+  }
+  if (changes.pinned !== undefined) {
+    await session.sock.chatModify({ pin: changes.pinned }, jid);
+    updateChats(session, [jid], () => setChatPinnedAt.run({ ...key, pinned_at: changes.pinned ? Date.now() : null }));
+  }
+  if (changes.mutedUntil !== undefined) {
+    await session.sock.chatModify({ mute: changes.mutedUntil }, jid);
+    updateChats(session, [jid], () => setChatMutedUntil.run({ ...key, muted_until: changes.mutedUntil }));
+  }
+  return loadChat(session.id, jid);
+}
+
+export function applyChatCleared(session, jid) {
+  if (!getChat.get({ session_id: session.id, jid })) return;
+  updateChats(session, [jid], () => clearChatMessages({ session_id: session.id, jid }));
+  session.io.emit('chat-cleared', { jid });
+}
+
+// Deletes every message of the chat, on the account's other devices too.
+export async function clearChat(session, jid) {
+  await session.sock.chatModify({ clear: true }, jid);
+  applyChatCleared(session, jid);
+}
+
+// Handler for Baileys' `chats.delete` event.
+export function applyChatDeletes(session, jids) {
+  for (const jid of jids) {
+    if (deleteStoredChat({ session_id: session.id, jid })) session.io.emit('chat-deleted', { jid });
+  }
+}
+
+export async function deleteChat(session, jid) {
+  await session.sock.chatModify({ delete: true, lastMessages: lastMessagesFor(session.id, jid) }, jid);
+  applyChatDeletes(session, [jid]);
+}
+
+/**
+ * Stores the archive, pin and mute flags a Baileys chat update carries.
+ * `pinned` is the ms timestamp of the pin, null when unpinned.
+ */
+export function applyChatFlags(key, { archived, pinned, muteEndTime }) {
+  if (typeof archived === 'boolean') setChatArchived.run({ ...key, archived: archived ? 1 : 0 });
+  if (pinned !== undefined) setChatPinnedAt.run({ ...key, pinned_at: pinned ? Number(pinned) : null });
+  if (muteEndTime !== undefined) setChatMutedUntil.run({ ...key, muted_until: muteEndTime ? Number(muteEndTime) : null });
+}
+
+/**
+ * Handler for Baileys' `chats.update` event. An `unreadCount` of 0 means the
+ * chat was read on another device and -1 that it was marked unread; positive
+ * counts come from new messages, which are already counted when stored.
+ */
+export function applyChatUpdates(session, updates) {
+  const jids = updates.filter(update => update.id).map(update => update.id);
+  updateChats(session, jids, () => {
+    for (const update of updates) {
+      if (!update.id) continue;
+      const key = { session_id: session.id, jid: update.id };
+      if (update.name) {
+        upsertChat.run({
+          ...key,
+          name: update.name,
+          is_group: isGroup(update.id) ? 1 : 0,
+          last_message: null,
+          last_message_timestamp: null,
+          unread_count: null,
+        });
+      }
+      if (update.unreadCount === 0) resetChatUnreadCount.run(key);
+      else if (update.unreadCount === -1) setChatMarkedUnread.run({ ...key, marked_unread: 1 });
+      applyChatFlags(key, update);
+    }
+  });
+}
+
+/**
+ * Applies read receipts our other devices sent for incoming messages: each
+ * chat stays unread only for messages newer than the newest one read.
+ */
+export function applyReadElsewhere(session, keys) {
+  const readUpTo = new Map();
+  for (const key of keys) {
+    const details = getMessageKeyDetails.get({ message_id: key.id, session_id: session.id });
+    if (!details || details.isOutgoing) continue;
+    readUpTo.set(details.jid, Math.max(readUpTo.get(details.jid) ?? 0, details.timestamp));
+  }
+  if (!readUpTo.size) return;
+
+  updateChats(session, [...readUpTo.keys()], () => {
+    for (const [jid, timestamp] of readUpTo) markChatReadUpTo.run({ session_id: session.id, jid, timestamp });
+  });
+}
@@ -0,0 +1,36 @@
+// @path: contacts.js
+import { upsertContact, runInTransaction } from './database.js';
+
+export const toContact = row => row && ({
+  jid: row.jid,
+  lid: row.lid,
+  name: row.name || row.verified_name || row.notify || null,
+  savedName: row.name,
+  notifyName: row.notify,
+  verifiedName: row.verified_name,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Stores Baileys `Contact` objects from `contacts.upsert`, `contacts.update`
+ * and history sync. Missing fields keep their stored value.
+ */
+export function saveContacts(session, contacts) {
+  const now = Date.now();
+  runInTransaction(() => {
+    for (const contact of contacts) {
+      if (!contact?.id) continue;
+      // History sync may key a contact by its LID only.
+      const isLid = contact.id.endsWith('@lid');
+      upsertContact.run({
+        session_id: session.id,
+        jid: contact.id,
+        lid: contact.lid || (isLid ? contact.id : null),
+        name: contact.name || null,
+        notify: contact.notify || null,
+        verified_name: contact.verifiedName || null,
+        now,
+      });
+    }
+  });
+}
@@ -6,6 +6,10 @@ import { logger } from './logger.js';
 dotenv.config();
 
 const db = new Database(process.env.SQLITE_PATH || './chat.db');
+// WAL lets the worker processes of `supervisor.js` read while another writes.
+db.pragma('journal_mode = WAL');
+db.pragma('busy_timeout = 5000');
+db.pragma('synchronous = NORMAL');
 
 try {
   db.exec(`
@@ -26,11 +30,18 @@ try {
       quoted_message_id TEXT,
       quoted_message_text TEXT,
       media_sha256 TEXT,
-      raw_message_data TEXT
+      raw_message_data TEXT,
+      caption TEXT,
+      is_deleted INTEGER NOT NULL DEFAULT 0,
+      deleted_at INTEGER,
+      edited_at INTEGER,
+      edit_history TEXT,
+      details TEXT
     );
     
     CREATE INDEX IF NOT EXISTS idx_media_sha256 ON messages (media_sha256);
     CREATE INDEX IF NOT EXISTS idx_message_timestamp ON messages (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_messages_chat_cursor ON messages (session_id, jid, timestamp, message_id);
 
     CREATE TABLE IF NOT EXISTS chats (
       session_id TEXT NOT NULL,
@@ -40,6 +51,11 @@ try {
       last_message TEXT,
       last_message_timestamp INTEGER,
       unread_count INTEGER NOT NULL DEFAULT 0,
+      marked_unread INTEGER NOT NULL DEFAULT 0,
+      archived INTEGER NOT NULL DEFAULT 0,
+      pinned_at INTEGER,
+      muted_until INTEGER,
+      history_exhausted INTEGER NOT NULL DEFAULT 0,
       PRIMARY KEY (session_id, jid)
     );
 
@@ -49,50 +65,356 @@ try {
       emoji TEXT NOT NULL,
       PRIMARY KEY (message_id, sender_jid)
     );
+
+    CREATE TABLE IF NOT EXISTS media_policies (
+      session_id TEXT PRIMARY KEY,
+      types TEXT NOT NULL DEFAULT '[]',
+      max_bytes INTEGER,
+      include_history INTEGER NOT NULL DEFAULT 0
+    );
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL DEFAULT '["*"]',
+      secret TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhooks_session ON webhooks (session_id);
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhook_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER,
+      response_status INTEGER,
+      last_error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_log ON webhook_deliveries (webhook_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT,
+      key_hash TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      is_global INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER,
+      revoked_at INTEGER,
+      last_used_at INTEGER
+    );
+
+    CREATE TABLE IF NOT EXISTS api_key_sessions (
+      key_id TEXT NOT NULL,
+      session_id TEXT NOT NULL,
+      PRIMARY KEY (key_id, session_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_api_key_sessions_session ON api_key_sessions (session_id);
+
+    CREATE TABLE IF NOT EXISTS outbox (
+      session_id TEXT NOT NULL,
+      temp_id TEXT NOT NULL,
+      jid TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      message_id TEXT,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (session_id, temp_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox (session_id, status, created_at);
+
+    CREATE TABLE IF NOT EXISTS scheduled_messages (
+      id TEXT PRIMARY KEY,
+      session_id TEXT NOT NULL,
+      temp_id TEXT NOT NULL,
+      jid TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      send_at INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'scheduled',
+      message_id TEXT,
+      error TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_scheduled_due ON scheduled_messages (session_id, status, send_at);
+
+    CREATE TABLE IF NOT EXISTS groups (
+      session_id TEXT NOT NULL,
+      jid TEXT NOT NULL,
+      subject TEXT,
+      subject_owner TEXT,
+      subject_time INTEGER,
+      description TEXT,
+      owner TEXT,
+      creation INTEGER,
+      announce INTEGER,
+      restrict_info INTEGER,
+      member_add_mode INTEGER,
+      join_approval_mode INTEGER,
+      ephemeral_duration INTEGER,
+      is_community INTEGER,
+      linked_parent TEXT,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (session_id, jid)
+    );
+
+    CREATE TABLE IF NOT EXISTS group_participants (
+      session_id TEXT NOT NULL,
+      group_jid TEXT NOT NULL,
+      participant_jid TEXT NOT NULL,
+      admin TEXT,
+      PRIMARY KEY (session_id, group_jid, participant_jid)
+    );
+
+    CREATE TABLE IF NOT EXISTS contacts (
+      session_id TEXT NOT NULL,
+      jid TEXT NOT NULL,
+      lid TEXT,
+      name TEXT,
+      notify TEXT,
+      verified_name TEXT,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (session_id, jid)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_contacts_lid ON contacts (session_id, lid);
+
+    CREATE TABLE IF NOT EXISTS polls (
+      session_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      jid TEXT NOT NULL,
+      question TEXT NOT NULL,
+      options TEXT NOT NULL,
+      selectable_count INTEGER NOT NULL DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (session_id, message_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS poll_votes (
+      session_id TEXT NOT NULL,
+      poll_id TEXT NOT NULL,
+      voter_jid TEXT NOT NULL,
+      option_name TEXT NOT NULL,
+      voted_at INTEGER NOT NULL,
+      PRIMARY KEY (session_id, poll_id, voter_jid, option_name)
+    );
+
+    CREATE TABLE IF NOT EXISTS session_settings (
+      session_id TEXT PRIMARY KEY,
+      online INTEGER NOT NULL DEFAULT 0,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS message_receipts (
+      session_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      recipient_jid TEXT NOT NULL,
+      delivered_at INTEGER,
+      read_at INTEGER,
+      played_at INTEGER,
+      PRIMARY KEY (session_id, message_id, recipient_jid)
+    );
+
+    CREATE TABLE IF NOT EXISTS session_events (
+      session_id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (session_id, seq)
+    );
+
+    CREATE TABLE IF NOT EXISTS session_metadata (
+      session_id TEXT PRIMARY KEY,
+      label TEXT,
+      created_at INTEGER NOT NULL,
+      me_jid TEXT,
+      phone_number TEXT,
+      last_connected_at INTEGER,
+      last_activity_at INTEGER,
+      last_disconnect_code INTEGER,
+      paused INTEGER NOT NULL DEFAULT 0
+    );
   `);
 } catch (err) {
   logger.error('Database initialization failed:', err);
   throw err;
 }
 
-try {
-  db.prepare(`SELECT raw_message_data FROM messages LIMIT 1`).get();
-} catch (e) {
-  if (e.message.includes('no such column')) {
-    logger.warn('Missing `raw_message_data` column. Applying migration...');
-    db.exec(`ALTER TABLE messages ADD COLUMN raw_message_data TEXT`);
-    logger.info('Migration applied.');
-  }
+const ensureColumn = (table, column, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return;
+  logger.warn(`Missing \`${column}\` column. Applying migration...`);
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  logger.info('Migration applied.');
+};
+
+ensureColumn('messages', 'raw_message_data', 'TEXT');
+ensureColumn('messages', 'caption', 'TEXT');
+ensureColumn('messages', 'is_deleted', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('messages', 'deleted_at', 'INTEGER');
+ensureColumn('messages', 'edited_at', 'INTEGER');
+ensureColumn('messages', 'edit_history', 'TEXT');
+ensureColumn('messages', 'details', 'TEXT');
+ensureColumn('chats', 'marked_unread', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('chats', 'archived', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('chats', 'pinned_at', 'INTEGER');
+ensureColumn('chats', 'muted_until', 'INTEGER');
+ensureColumn('chats', 'history_exhausted', 'INTEGER NOT NULL DEFAULT 0');
+ensureColumn('api_keys', 'is_global', 'INTEGER NOT NULL DEFAULT 0');
+
+const hasSearchIndex = !!db.prepare(`
+  SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'
+`).get();
+
+if (!hasSearchIndex) {
+  logger.warn('Missing message search index. Backfilling captions and building it...');
+  db.exec(`
+    UPDATE messages SET caption = COALESCE(
+      json_extract(raw_message_data, '$.message.imageMessage.caption'),
+      json_extract(raw_message_data, '$.message.videoMessage.caption'),
+      json_extract(raw_message_data, '$.message.documentMessage.caption'),
+      json_extract(raw_message_data, '$.message.documentWithCaptionMessage.message.documentMessage.caption')
+    )
+    WHERE caption IS NULL AND raw_message_data IS NOT NULL AND json_valid(raw_message_data);
+  `);
+}
+
+db.exec(`
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    text, caption, quoted_message_text,
+    content='messages', content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS messages_fts_ai AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts (rowid, text, caption, quoted_message_text)
+    VALUES (new.id, new.text, new.caption, new.quoted_message_text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS messages_fts_ad AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text, caption, quoted_message_text)
+    VALUES ('delete', old.id, old.text, old.caption, old.quoted_message_text);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS messages_fts_au AFTER UPDATE OF text, caption, quoted_message_text ON messages BEGIN
+    INSERT INTO messages_fts (messages_fts, rowid, text, caption, quoted_message_text)
+    VALUES ('delete', old.id, old.text, old.caption, old.quoted_message_text);
+    INSERT INTO messages_fts (rowid, text, caption, quoted_message_text)
+    VALUES (new.id, new.text, new.caption, new.quoted_message_text);
+  END;
+`);
+
+if (!hasSearchIndex) {
+  db.exec(`INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')`);
+  logger.info('Message search index built.');
 }
 
 const insertMessage = db.prepare(`
   INSERT OR IGNORE INTO messages (
     message_id, session_id, jid, text, type, isOutgoing, status, timestamp,
     participant, sender_name, media_url, mimetype,
-    quoted_message_id, quoted_message_text, media_sha256, raw_message_data
+    quoted_message_id, quoted_message_text, media_sha256, raw_message_data, caption, details
   ) VALUES (
     @message_id, @session_id, @jid, @text, @type, @isOutgoing, @status, @timestamp,
     @participant, @sender_name, @media_url, @mimetype,
-    @quoted_message_id, @quoted_message_text, @media_sha256, @raw_message_data
+    @quoted_message_id, @quoted_message_text, @media_sha256, @raw_message_data, @caption, @details
   )
 `);
 
+const STATUS_RANK = `CASE %s
+    WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2 WHEN 'read' THEN 3 WHEN 'played' THEN 4 ELSE 0 END`;
+
+// Receipts can arrive out of order, so a message's status only moves forward.
 const updateMessageStatus = db.prepare(`
-  UPDATE messages SET status = @status WHERE message_id = @id
+  UPDATE messages SET status = @status
+  WHERE session_id = @session_id AND message_id = @id
+    AND ${STATUS_RANK.replace('%s', 'status')} < ${STATUS_RANK.replace('%s', '@status')}
 `);
 
-const getMessagesByJid = db.prepare(`
-  SELECT 
-    m.message_id as id, m.jid, m.text, m.type, m.isOutgoing, m.status, m.timestamp, m.participant, 
-    m.sender_name as name, 
+// Saved contact name, then verified business name, then the contact's own
+// push name. `jidExpr` may be a phone-number JID or a LID.
+const contactNameFor = (table, jidExpr) => `(
+  SELECT COALESCE(ct.name, ct.verified_name, ct.notify) FROM contacts ct
+  WHERE ct.session_id = ${table}.session_id AND (ct.jid = ${jidExpr} OR ct.lid = ${jidExpr})
+  ORDER BY ct.name IS NULL
+  LIMIT 1
+)`;
+
+const SENDER_NAME = `
+    CASE WHEN m.isOutgoing THEN m.sender_name
+    ELSE COALESCE(${contactNameFor('m', 'COALESCE(m.participant, m.jid)')}, m.sender_name) END`;
+
+const HISTORY_COLUMNS = `
+    m.message_id as id, m.jid, m.text, m.caption, m.type, m.isOutgoing, m.status, m.timestamp, m.participant, 
+    ${SENDER_NAME} as name, 
     m.media_url, m.mimetype, m.quoted_message_id, m.quoted_message_text,
-    m.media_sha256
+    m.media_sha256, m.is_deleted as isDeleted, m.deleted_at as deletedAt, m.edited_at as editedAt,
+    m.edit_history as editHistory, m.details`;
+
+const getMessagesByJid = db.prepare(`
+  SELECT ${HISTORY_COLUMNS}
+  FROM messages m
+  WHERE m.session_id = @session_id AND m.jid = @jid
+  ORDER BY m.timestamp DESC, m.message_id DESC
+  LIMIT @limit
+`);
+
+const getMessagesBeforeCursor = db.prepare(`
+  SELECT ${HISTORY_COLUMNS}
+  FROM messages m
+  WHERE m.session_id = @session_id AND m.jid = @jid
+    AND (m.timestamp < @timestamp OR (m.timestamp = @timestamp AND m.message_id < @message_id))
+  ORDER BY m.timestamp DESC, m.message_id DESC
+  LIMIT @limit
+`);
+
+const getMessagesAfterCursor = db.prepare(`
+  SELECT ${HISTORY_COLUMNS}
   FROM messages m
   WHERE m.session_id = @session_id AND m.jid = @jid
-  ORDER BY m.timestamp DESC
+    AND (m.timestamp > @timestamp OR (m.timestamp = @timestamp AND m.message_id > @message_id))
+  ORDER BY m.timestamp ASC, m.message_id ASC
   LIMIT @limit
 `);
 
+const searchMessages = db.prepare(`
+  SELECT
+    m.message_id as id, m.jid, m.text, m.caption, m.type, m.isOutgoing, m.status, m.timestamp,
+    m.participant, ${SENDER_NAME} as name, m.quoted_message_text,
+    snippet(messages_fts, -1, '<b>', '</b>', '…', 12) as snippet
+  FROM messages_fts
+  JOIN messages m ON m.id = messages_fts.rowid
+  WHERE messages_fts MATCH @query
+    AND m.session_id = @session_id
+    AND (@jid IS NULL OR m.jid = @jid)
+    AND (@from IS NULL OR m.timestamp >= @from)
+    AND (@to IS NULL OR m.timestamp <= @to)
+    AND (@type IS NULL OR m.type = @type)
+    AND (@from_me IS NULL OR m.isOutgoing = @from_me)
+  ORDER BY CASE WHEN @sort = 'relevance' THEN messages_fts.rank END, m.timestamp DESC
+  LIMIT @limit OFFSET @offset
+`);
+
 const getReactionsForMessages = db.prepare(`
   SELECT 
     message_id,
@@ -124,6 +446,17 @@ const getMessageById = db.prepare(`
   LIMIT 1
 `);
 
+const getMediaDetails = db.prepare(`
+  SELECT type, mimetype, media_sha256, raw_message_data FROM messages
+  WHERE message_id = @message_id AND session_id = @session_id
+  LIMIT 1
+`);
+
+const updateMessageMediaSha256 = db.prepare(`
+  UPDATE messages SET media_sha256 = @media_sha256
+  WHERE message_id = @message_id AND session_id = @session_id
+`);
+
 const getOldestMessageDetails = db.prepare(`
   SELECT message_id, isOutgoing, participant, timestamp
   FROM messages
@@ -133,11 +466,62 @@ const getOldestMessageDetails = db.prepare(`
 `);
 
 const getMessageKeyDetails = db.prepare(`
-  SELECT isOutgoing FROM messages
+  SELECT jid, isOutgoing, participant, type, timestamp, is_deleted, status FROM messages
   WHERE message_id = @message_id AND session_id = @session_id
   LIMIT 1
 `);
 
+const getSingleMessageState = db.prepare(`
+  SELECT text, caption, is_deleted, deleted_at, edited_at FROM messages
+  WHERE session_id = @session_id AND message_id = @message_id
+`);
+
+// Deleted for everyone: the content is gone, only a placeholder remains.
+const revokeMessage = db.prepare(`
+  UPDATE messages SET
+    is_deleted = 1,
+    deleted_at = @deleted_at,
+    text = '',
+    caption = NULL,
+    media_url = NULL,
+    mimetype = NULL,
+    edit_history = NULL,
+    details = NULL
+  WHERE session_id = @session_id AND message_id = @message_id AND is_deleted = 0
+`);
+
+// Keeps the replaced version in `edit_history`. Re-applying the same edit is a no-op.
+const editMessage = db.prepare(`
+  UPDATE messages SET
+    edit_history = json_insert(
+      COALESCE(edit_history, '[]'), '$[#]',
+      json_object('text', text, 'caption', caption, 'editedAt', COALESCE(edited_at, timestamp))
+    ),
+    text = COALESCE(@text, text),
+    caption = COALESCE(@caption, caption),
+    edited_at = @edited_at
+  WHERE session_id = @session_id AND message_id = @message_id AND is_deleted = 0
+    AND (COALESCE(@text, text) IS NOT text OR COALESCE(@caption, caption) IS NOT caption)
+`);
+
+const deleteMessageReactions = db.prepare(`DELETE FROM reactions WHERE message_id = @message_id`);
+const deleteMessageReceipts = db.prepare(`
+  DELETE FROM message_receipts WHERE session_id = @session_id AND message_id = @message_id
+`);
+const deleteMessageRow = db.prepare(`
+  DELETE FROM messages WHERE session_id = @session_id AND message_id = @message_id
+`);
+
+// Deleted for me: the message disappears from this account entirely.
+const deleteMessageForMe = db.transaction(({ session_id, message_id }) => {
+  const { changes } = deleteMessageRow.run({ session_id, message_id });
+  if (changes) {
+    deleteMessageReactions.run({ message_id });
+    deleteMessageReceipts.run({ session_id, message_id });
+  }
+  return changes;
+});
+
 const findMessageBySha256 = db.prepare(`
   SELECT media_url, mimetype FROM messages
   WHERE media_sha256 = @media_sha256 AND media_url IS NOT NULL
@@ -160,12 +544,72 @@ const deleteSessionData = db.transaction((sessionId) => {
   const stmts = [
     db.prepare('DELETE FROM messages WHERE session_id = ?'),
     db.prepare('DELETE FROM chats WHERE session_id = ?'),
+    db.prepare('DELETE FROM media_policies WHERE session_id = ?'),
+    db.prepare('DELETE FROM webhook_deliveries WHERE session_id = ?'),
+    db.prepare('DELETE FROM webhooks WHERE session_id = ?'),
+    db.prepare('DELETE FROM api_key_sessions WHERE session_id = ?'),
+    db.prepare('DELETE FROM outbox WHERE session_id = ?'),
+    db.prepare('DELETE FROM scheduled_messages WHERE session_id = ?'),
+    db.prepare('DELETE FROM group_participants WHERE session_id = ?'),
+    db.prepare('DELETE FROM groups WHERE session_id = ?'),
+    db.prepare('DELETE FROM contacts WHERE session_id = ?'),
+    db.prepare('DELETE FROM poll_votes WHERE session_id = ?'),
+    db.prepare('DELETE FROM polls WHERE session_id = ?'),
+    db.prepare('DELETE FROM session_settings WHERE session_id = ?'),
+    db.prepare('DELETE FROM message_receipts WHERE session_id = ?'),
+    db.prepare('DELETE FROM session_events WHERE session_id = ?'),
+    db.prepare('DELETE FROM session_metadata WHERE session_id = ?'),
   ];
   for (const stmt of stmts) {
     stmt.run(sessionId);
   }
 });
 
+// Everything that came from the WhatsApp account; the session's own
+// configuration (webhooks, keys, settings, metadata) is kept.
+const deleteAccountData = db.transaction((sessionId) => {
+  const stmts = [
+    db.prepare('DELETE FROM messages WHERE session_id = ?'),
+    db.prepare('DELETE FROM chats WHERE session_id = ?'),
+    db.prepare('DELETE FROM webhook_deliveries WHERE session_id = ?'),
+    db.prepare('DELETE FROM outbox WHERE session_id = ?'),
+    db.prepare('DELETE FROM scheduled_messages WHERE session_id = ?'),
+    db.prepare('DELETE FROM group_participants WHERE session_id = ?'),
+    db.prepare('DELETE FROM groups WHERE session_id = ?'),
+    db.prepare('DELETE FROM contacts WHERE session_id = ?'),
+    db.prepare('DELETE FROM poll_votes WHERE session_id = ?'),
+    db.prepare('DELETE FROM polls WHERE session_id = ?'),
+    db.prepare('DELETE FROM message_receipts WHERE session_id = ?'),
+    db.prepare('DELETE FROM session_events WHERE session_id = ?'),
+  ];
+  for (const stmt of stmts) {
+    stmt.run(sessionId);
+  }
+});
+
+const getSessionChats = db.prepare(`
+  SELECT jid, name, is_group, last_message, last_message_timestamp, unread_count
+  FROM chats
+  WHERE session_id = @session_id
+`);
+
+const getSessionMessages = db.prepare(`
+  SELECT
+    message_id, jid, text, type, isOutgoing, status, timestamp, participant,
+    sender_name, media_url, mimetype, quoted_message_id, quoted_message_text,
+    media_sha256, raw_message_data, caption, details
+  FROM messages
+  WHERE session_id = @session_id
+  ORDER BY timestamp ASC
+`);
+
+const getSessionReactions = db.prepare(`
+  SELECT r.message_id, r.sender_jid, r.emoji
+  FROM reactions r
+  JOIN messages m ON m.message_id = r.message_id
+  WHERE m.session_id = @session_id
+`);
+
 const upsertChat = db.prepare(`
   INSERT INTO chats (
     session_id, jid, name, is_group, last_message, last_message_timestamp, unread_count
@@ -179,21 +623,151 @@ const upsertChat = db.prepare(`
     unread_count = IIF(excluded.unread_count IS NOT NULL, excluded.unread_count, unread_count)
 `);
 
+// New messages: keeps the newest preview and adds to the unread count.
+const upsertChatActivity = db.prepare(`
+  INSERT INTO chats (
+    session_id, jid, name, is_group, last_message, last_message_timestamp, unread_count
+  ) VALUES (
+    @session_id, @jid, @name, @is_group, @last_message, @last_message_timestamp, @unread_count
+  )
+  ON CONFLICT(session_id, jid) DO UPDATE SET
+    name = COALESCE(excluded.name, name),
+    last_message = IIF(excluded.last_message_timestamp >= COALESCE(last_message_timestamp, 0), excluded.last_message, last_message),
+    last_message_timestamp = MAX(COALESCE(last_message_timestamp, 0), excluded.last_message_timestamp),
+    unread_count = unread_count + excluded.unread_count
+`);
+
+// Group chats are named after the stored subject, 1:1 chats after the contact.
+const CHAT_COLUMNS = `
+    c.jid,
+    COALESCE(
+      CASE WHEN c.is_group
+        THEN (SELECT g.subject FROM groups g WHERE g.session_id = c.session_id AND g.jid = c.jid)
+        ELSE ${contactNameFor('c', 'c.jid')}
+      END,
+      c.name,
+      substr(c.jid, 1, instr(c.jid, '@') - 1)
+    ) as name,
+    c.is_group as isGroupInt,
+    c.last_message,
+    c.last_message_timestamp,
+    c.unread_count as unreadCount,
+    c.marked_unread as markedUnread,
+    c.archived,
+    c.pinned_at as pinnedAt,
+    c.muted_until as mutedUntil`;
+
+// Pinned chats first, most recently pinned on top. `archived` (0 or 1) filters when not null.
 const getChats = db.prepare(`
-  SELECT
-    jid,
-    name,
-    is_group as isGroupInt,
-    last_message,
-    last_message_timestamp,
-    unread_count as unreadCount
-  FROM chats
-  WHERE session_id = @session_id
-  ORDER BY last_message_timestamp DESC
+  SELECT ${CHAT_COLUMNS}
+  FROM chats c
+  WHERE c.session_id = @session_id AND (@archived IS NULL OR c.archived = @archived)
+  ORDER BY c.pinned_at IS NULL, c.pinned_at DESC, c.last_message_timestamp DESC
+`);
+
+const getChat = db.prepare(`
+  SELECT ${CHAT_COLUMNS}
+  FROM chats c
+  WHERE c.session_id = @session_id AND c.jid = @jid
 `);
 
 const resetChatUnreadCount = db.prepare(`
-  UPDATE chats SET unread_count = 0 WHERE session_id = @session_id AND jid = @jid
+  UPDATE chats SET unread_count = 0, marked_unread = 0 WHERE session_id = @session_id AND jid = @jid
+`);
+
+const setChatMarkedUnread = db.prepare(`
+  UPDATE chats SET marked_unread = @marked_unread WHERE session_id = @session_id AND jid = @jid
+`);
+
+const setChatArchived = db.prepare(`
+  UPDATE chats SET archived = @archived WHERE session_id = @session_id AND jid = @jid
+`);
+
+const setChatPinnedAt = db.prepare(`
+  UPDATE chats SET pinned_at = @pinned_at WHERE session_id = @session_id AND jid = @jid
+`);
+
+const countPinnedChats = db.prepare(`
+  SELECT COUNT(*) as count FROM chats WHERE session_id = @session_id AND pinned_at IS NOT NULL
+`);
+
+// `muted_until` is a ms timestamp, or -1 for muted until unmuted.
+const setChatMutedUntil = db.prepare(`
+  UPDATE chats SET muted_until = @muted_until WHERE session_id = @session_id AND jid = @jid
+`);
+
+// Set once WhatsApp answers an on-demand history request with nothing older.
+const setChatHistoryExhausted = db.prepare(`
+  UPDATE chats SET history_exhausted = 1 WHERE session_id = @session_id AND jid = @jid
+`);
+
+const getChatHistoryExhausted = db.prepare(`
+  SELECT history_exhausted as historyExhausted FROM chats WHERE session_id = @session_id AND jid = @jid
+`);
+
+const deleteChatReactions = db.prepare(`
+  DELETE FROM reactions WHERE message_id IN (
+    SELECT message_id FROM messages WHERE session_id = @session_id AND jid = @jid
+  )
+`);
+const deleteChatReceipts = db.prepare(`
+  DELETE FROM message_receipts WHERE session_id = @session_id AND message_id IN (
+    SELECT message_id FROM messages WHERE session_id = @session_id AND jid = @jid
+  )
+`);
+const deleteChatPollVotes = db.prepare(`
+  DELETE FROM poll_votes WHERE session_id = @session_id AND poll_id IN (
+    SELECT message_id FROM polls WHERE session_id = @session_id AND jid = @jid
+  )
+`);
+const deleteChatPolls = db.prepare('DELETE FROM polls WHERE session_id = @session_id AND jid = @jid');
+const deleteChatMessages = db.prepare('DELETE FROM messages WHERE session_id = @session_id AND jid = @jid');
+const resetChatPreview = db.prepare(`
+  UPDATE chats SET last_message = NULL, unread_count = 0, marked_unread = 0
+  WHERE session_id = @session_id AND jid = @jid
+`);
+const deleteChatRow = db.prepare('DELETE FROM chats WHERE session_id = @session_id AND jid = @jid');
+
+// Removes every message of a chat but keeps the chat itself.
+const clearChatMessages = db.transaction(key => {
+  deleteChatReactions.run(key);
+  deleteChatReceipts.run(key);
+  deleteChatPollVotes.run(key);
+  deleteChatPolls.run(key);
+  const { changes } = deleteChatMessages.run(key);
+  resetChatPreview.run(key);
+  return changes;
+});
+
+const deleteStoredChat = db.transaction(key => {
+  clearChatMessages(key);
+  return deleteChatRow.run(key).changes;
+});
+
+// Messages up to `timestamp` were read on another device; only newer incoming ones stay unread.
+const markChatReadUpTo = db.prepare(`
+  UPDATE chats SET
+    unread_count = MIN(unread_count, (
+      SELECT COUNT(*) FROM messages m
+      WHERE m.session_id = chats.session_id AND m.jid = chats.jid
+        AND m.isOutgoing = 0 AND m.timestamp > @timestamp
+    )),
+    marked_unread = 0
+  WHERE session_id = @session_id AND jid = @jid
+`);
+
+const getLatestIncomingMessages = db.prepare(`
+  SELECT message_id, participant, timestamp FROM messages
+  WHERE session_id = @session_id AND jid = @jid AND isOutgoing = 0 AND is_deleted = 0
+  ORDER BY timestamp DESC
+  LIMIT @limit
+`);
+
+const getLatestChatMessage = db.prepare(`
+  SELECT message_id, isOutgoing, participant, timestamp FROM messages
+  WHERE session_id = @session_id AND jid = @jid
+  ORDER BY timestamp DESC
+  LIMIT 1
 `);
 
 const upsertReaction = db.prepare(`
@@ -205,6 +779,570 @@ const deleteReaction = db.prepare(`
   DELETE FROM reactions WHERE message_id = @message_id AND sender_jid = @sender_jid
 `);
 
+const getMediaPolicy = db.prepare(`
+  SELECT types, max_bytes, include_history FROM media_policies WHERE session_id = @session_id
+`);
+
+const upsertMediaPolicy = db.prepare(`
+  INSERT INTO media_policies (session_id, types, max_bytes, include_history)
+  VALUES (@session_id, @types, @max_bytes, @include_history)
+  ON CONFLICT(session_id) DO UPDATE SET
+    types = excluded.types,
+    max_bytes = excluded.max_bytes,
+    include_history = excluded.include_history
+`);
+
+const WEBHOOK_COLUMNS = `id, session_id, url, events, enabled, created_at`;
+
+const insertWebhook = db.prepare(`
+  INSERT INTO webhooks (id, session_id, url, events, secret, enabled, created_at)
+  VALUES (@id, @session_id, @url, @events, @secret, @enabled, @created_at)
+`);
+
+const updateWebhook = db.prepare(`
+  UPDATE webhooks SET
+    url = COALESCE(@url, url),
+    events = COALESCE(@events, events),
+    secret = COALESCE(@secret, secret),
+    enabled = COALESCE(@enabled, enabled)
+  WHERE id = @id AND session_id = @session_id
+`);
+
+const deleteWebhook = db.transaction(({ id, session_id }) => {
+  const { changes } = db.prepare('DELETE FROM webhooks WHERE id = ? AND session_id = ?').run(id, session_id);
+  if (changes) db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+  return changes;
+});
+
+const getWebhook = db.prepare(`
+  SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = @id AND session_id = @session_id
+`);
+
+const getWebhooksBySession = db.prepare(`
+  SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE session_id = @session_id ORDER BY created_at ASC
+`);
+
+const getActiveWebhooks = db.prepare(`
+  SELECT id, events FROM webhooks WHERE session_id = @session_id AND enabled = 1
+`);
+
+const insertWebhookDelivery = db.prepare(`
+  INSERT INTO webhook_deliveries (
+    id, webhook_id, session_id, event, payload, status, attempts, next_attempt_at, created_at, updated_at
+  ) VALUES (
+    @id, @webhook_id, @session_id, @event, @payload, 'pending', 0, @now, @now, @now
+  )
+`);
+
+const getDueWebhookDeliveries = db.prepare(`
+  SELECT d.id, d.webhook_id, d.event, d.payload, d.attempts, w.url, w.secret
+  FROM webhook_deliveries d
+  JOIN webhooks w ON w.id = d.webhook_id
+  WHERE d.status = 'pending' AND d.next_attempt_at <= @now AND w.enabled = 1
+    AND (@session_ids IS NULL OR d.session_id IN (SELECT value FROM json_each(@session_ids)))
+  ORDER BY d.next_attempt_at ASC
+  LIMIT @limit
+`);
+
+const updateWebhookDelivery = db.prepare(`
+  UPDATE webhook_deliveries SET
+    status = @status,
+    attempts = @attempts,
+    next_attempt_at = @next_attempt_at,
+    response_status = @response_status,
+    last_error = @last_error,
+    updated_at = @now
+  WHERE id = @id
+`);
+
+const getWebhookDeliveries = db.prepare(`
+  SELECT id, event, status, attempts, next_attempt_at, response_status, last_error, created_at, updated_at
+  FROM webhook_deliveries
+  WHERE webhook_id = @webhook_id
+    AND (@status IS NULL OR status = @status)
+    AND (@before IS NULL OR created_at < @before)
+  ORDER BY created_at DESC
+  LIMIT @limit
+`);
+
+const retryWebhookDelivery = db.prepare(`
+  UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = @now, updated_at = @now
+  WHERE id = @id AND webhook_id = @webhook_id
+`);
+
+const deleteOldWebhookDeliveries = db.prepare(`
+  DELETE FROM webhook_deliveries WHERE status != 'pending' AND updated_at < @cutoff
+`);
+
+const API_KEY_COLUMNS = `
+    k.id, k.name, k.scopes, k.is_global, k.created_at, k.expires_at, k.revoked_at, k.last_used_at,
+    (SELECT json_group_array(session_id) FROM api_key_sessions s WHERE s.key_id = k.id) as sessions`;
+
+const insertApiKey = db.prepare(`
+  INSERT INTO api_keys (id, name, key_hash, scopes, is_global, created_at, expires_at)
+  VALUES (@id, @name, @key_hash, @scopes, @is_global, @created_at, @expires_at)
+`);
+
+const getApiKeyForAuth = db.prepare(`
+  SELECT ${API_KEY_COLUMNS}, k.key_hash
+  FROM api_keys k
+  WHERE k.id = @id
+`);
+
+const getApiKey = db.prepare(`
+  SELECT ${API_KEY_COLUMNS} FROM api_keys k WHERE k.id = @id
+`);
+
+const getApiKeys = db.prepare(`
+  SELECT ${API_KEY_COLUMNS} FROM api_keys k ORDER BY k.created_at DESC
+`);
+
+const updateApiKey = db.prepare(`
+  UPDATE api_keys SET
+    name = COALESCE(@name, name),
+    expires_at = IIF(@clear_expiry, NULL, COALESCE(@expires_at, expires_at))
+  WHERE id = @id AND revoked_at IS NULL
+`);
+
+const touchApiKey = db.prepare(`
+  UPDATE api_keys SET last_used_at = @now WHERE id = @id
+`);
+
+const revokeApiKey = db.prepare(`
+  UPDATE api_keys SET revoked_at = @now WHERE id = @id AND revoked_at IS NULL
+`);
+
+const expireApiKey = db.prepare(`
+  UPDATE api_keys SET expires_at = MIN(COALESCE(expires_at, @expires_at), @expires_at)
+  WHERE id = @id AND revoked_at IS NULL
+`);
+
+const bindApiKeySession = db.prepare(`
+  INSERT OR IGNORE INTO api_key_sessions (key_id, session_id) VALUES (@key_id, @session_id)
+`);
+
+const setApiKeySessions = db.transaction((keyId, sessionIds) => {
+  db.prepare('DELETE FROM api_key_sessions WHERE key_id = ?').run(keyId);
+  for (const sessionId of sessionIds) {
+    bindApiKeySession.run({ key_id: keyId, session_id: sessionId });
+  }
+});
+
+const OUTBOX_COLUMNS = `temp_id, jid, kind, payload, status, message_id, error, attempts, created_at, updated_at`;
+
+const insertOutboxItem = db.prepare(`
+  INSERT OR IGNORE INTO outbox (session_id, temp_id, jid, kind, payload, status, created_at, updated_at)
+  VALUES (@session_id, @temp_id, @jid, @kind, @payload, 'pending', @now, @now)
+`);
+
+const getOutboxItem = db.prepare(`
+  SELECT ${OUTBOX_COLUMNS} FROM outbox WHERE session_id = @session_id AND temp_id = @temp_id
+`);
+
+const getPendingOutboxItems = db.prepare(`
+  SELECT ${OUTBOX_COLUMNS} FROM outbox
+  WHERE session_id = @session_id AND status = 'pending'
+  ORDER BY created_at ASC
+`);
+
+const getOutboxItems = db.prepare(`
+  SELECT ${OUTBOX_COLUMNS} FROM outbox
+  WHERE session_id = @session_id
+    AND (@status IS NULL OR status = @status)
+    AND (@since IS NULL OR updated_at >= @since)
+  ORDER BY created_at DESC
+  LIMIT @limit
+`);
+
+const updateOutboxItem = db.prepare(`
+  UPDATE outbox SET
+    status = @status,
+    message_id = @message_id,
+    error = @error,
+    attempts = @attempts,
+    updated_at = @now
+  WHERE session_id = @session_id AND temp_id = @temp_id
+`);
+
+const OUTBOX_PRUNE_FILTER = `
+  status != 'pending' AND updated_at < @cutoff
+    AND (@session_ids IS NULL OR session_id IN (SELECT value FROM json_each(@session_ids)))
+`;
+
+const getPrunableOutboxMedia = db.prepare(`
+  SELECT DISTINCT json_extract(payload, '$.sha256') AS sha256 FROM outbox
+  WHERE kind = 'media' AND ${OUTBOX_PRUNE_FILTER}
+`);
+
+const deleteOldOutboxItems = db.prepare(`
+  DELETE FROM outbox WHERE ${OUTBOX_PRUNE_FILTER}
+`);
+
+const isMediaReferenced = db.prepare(`
+  SELECT EXISTS (SELECT 1 FROM messages WHERE media_sha256 = @sha256)
+    OR EXISTS (SELECT 1 FROM outbox WHERE kind = 'media' AND json_extract(payload, '$.sha256') = @sha256)
+    OR EXISTS (
+      SELECT 1 FROM scheduled_messages
+      WHERE kind = 'media' AND status IN ('scheduled', 'sending') AND json_extract(payload, '$.sha256') = @sha256
+    ) AS in_use
+`);
+
+const SCHEDULED_COLUMNS = `id, session_id, temp_id, jid, kind, payload, send_at, status, message_id, error, created_at, updated_at`;
+
+const insertScheduledMessage = db.prepare(`
+  INSERT INTO scheduled_messages (id, session_id, temp_id, jid, kind, payload, send_at, status, created_at, updated_at)
+  VALUES (@id, @session_id, @temp_id, @jid, @kind, @payload, @send_at, 'scheduled', @now, @now)
+`);
+
+const getScheduledMessage = db.prepare(`
+  SELECT ${SCHEDULED_COLUMNS} FROM scheduled_messages WHERE id = @id AND session_id = @session_id
+`);
+
+const getScheduledMessages = db.prepare(`
+  SELECT ${SCHEDULED_COLUMNS} FROM scheduled_messages
+  WHERE session_id = @session_id
+    AND (@status IS NULL OR status = @status)
+  ORDER BY send_at ASC
+  LIMIT @limit
+`);
+
+const getDueScheduledMessages = db.prepare(`
+  SELECT ${SCHEDULED_COLUMNS} FROM scheduled_messages
+  WHERE session_id = @session_id AND status = 'scheduled' AND send_at <= @now
+  ORDER BY send_at ASC
+  LIMIT @limit
+`);
+
+const updateScheduledMessage = db.prepare(`
+  UPDATE scheduled_messages SET
+    jid = @jid,
+    payload = @payload,
+    send_at = @send_at,
+    updated_at = @now
+  WHERE id = @id AND session_id = @session_id AND status = 'scheduled'
+`);
+
+// Only a job that is still `scheduled` can be claimed, so it is never sent twice.
+const claimScheduledMessage = db.prepare(`
+  UPDATE scheduled_messages SET status = 'sending', updated_at = @now
+  WHERE id = @id AND status = 'scheduled'
+`);
+
+const finishScheduledMessage = db.prepare(`
+  UPDATE scheduled_messages SET
+    status = @status,
+    message_id = @message_id,
+    error = @error,
+    updated_at = @now
+  WHERE id = @id
+`);
+
+const cancelScheduledMessage = db.prepare(`
+  UPDATE scheduled_messages SET status = 'cancelled', updated_at = @now
+  WHERE id = @id AND session_id = @session_id AND status = 'scheduled'
+`);
+
+// A client tempId names one message: it may not be reused by another send or scheduled job.
+const isTempIdInUse = db.prepare(`
+  SELECT EXISTS (SELECT 1 FROM outbox WHERE session_id = @session_id AND temp_id = @temp_id)
+    OR EXISTS (
+      SELECT 1 FROM scheduled_messages
+      WHERE session_id = @session_id AND temp_id = @temp_id AND status != 'cancelled'
+    ) AS in_use
+`);
+
+const isTempIdScheduled = db.prepare(`
+  SELECT EXISTS (
+    SELECT 1 FROM scheduled_messages
+    WHERE session_id = @session_id AND temp_id = @temp_id AND status != 'cancelled'
+  ) AS scheduled
+`);
+
+const getQueuedScheduledMessages = db.prepare(`
+  SELECT ${SCHEDULED_COLUMNS} FROM scheduled_messages
+  WHERE session_id = @session_id AND temp_id = @temp_id AND status = 'queued'
+`);
+
+const resetInterruptedScheduledMessages = db.prepare(`
+  UPDATE scheduled_messages SET status = 'scheduled' WHERE session_id = @session_id AND status = 'sending'
+`);
+
+const GROUP_COLUMNS = `
+  jid, subject, subject_owner, subject_time, description, owner, creation, announce, restrict_info,
+  member_add_mode, join_approval_mode, ephemeral_duration, is_community, linked_parent, updated_at,
+  (SELECT COUNT(*) FROM group_participants p WHERE p.session_id = groups.session_id AND p.group_jid = groups.jid) AS size
+`;
+
+// NULL fields keep their stored value, so partial `groups.update` events can be applied as-is.
+const upsertGroup = db.prepare(`
+  INSERT INTO groups (
+    session_id, jid, subject, subject_owner, subject_time, description, owner, creation, announce,
+    restrict_info, member_add_mode, join_approval_mode, ephemeral_duration, is_community, linked_parent, updated_at
+  ) VALUES (
+    @session_id, @jid, @subject, @subject_owner, @subject_time, @description, @owner, @creation, @announce,
+    @restrict_info, @member_add_mode, @join_approval_mode, @ephemeral_duration, @is_community, @linked_parent, @now
+  )
+  ON CONFLICT(session_id, jid) DO UPDATE SET
+    subject = COALESCE(excluded.subject, subject),
+    subject_owner = COALESCE(excluded.subject_owner, subject_owner),
+    subject_time = COALESCE(excluded.subject_time, subject_time),
+    description = COALESCE(excluded.description, description),
+    owner = COALESCE(excluded.owner, owner),
+    creation = COALESCE(excluded.creation, creation),
+    announce = COALESCE(excluded.announce, announce),
+    restrict_info = COALESCE(excluded.restrict_info, restrict_info),
+    member_add_mode = COALESCE(excluded.member_add_mode, member_add_mode),
+    join_approval_mode = COALESCE(excluded.join_approval_mode, join_approval_mode),
+    ephemeral_duration = COALESCE(excluded.ephemeral_duration, ephemeral_duration),
+    is_community = COALESCE(excluded.is_community, is_community),
+    linked_parent = COALESCE(excluded.linked_parent, linked_parent),
+    updated_at = excluded.updated_at
+`);
+
+// Keeps a group's chat row named after its subject without touching unread counts.
+const upsertGroupChat = db.prepare(`
+  INSERT INTO chats (session_id, jid, name, is_group) VALUES (@session_id, @jid, @name, 1)
+  ON CONFLICT(session_id, jid) DO UPDATE SET name = excluded.name, is_group = 1
+`);
+
+const getGroup = db.prepare(`
+  SELECT ${GROUP_COLUMNS} FROM groups WHERE session_id = @session_id AND jid = @jid
+`);
+
+const getGroups = db.prepare(`
+  SELECT ${GROUP_COLUMNS} FROM groups WHERE session_id = @session_id ORDER BY subject COLLATE NOCASE
+`);
+
+const getGroupParticipants = db.prepare(`
+  SELECT participant_jid AS jid, admin FROM group_participants
+  WHERE session_id = @session_id AND group_jid = @group_jid
+  ORDER BY admin IS NULL, participant_jid
+`);
+
+const upsertGroupParticipant = db.prepare(`
+  INSERT INTO group_participants (session_id, group_jid, participant_jid, admin)
+  VALUES (@session_id, @group_jid, @participant_jid, @admin)
+  ON CONFLICT(session_id, group_jid, participant_jid) DO UPDATE SET admin = excluded.admin
+`);
+
+const deleteGroupParticipant = db.prepare(`
+  DELETE FROM group_participants
+  WHERE session_id = @session_id AND group_jid = @group_jid AND participant_jid = @participant_jid
+`);
+
+const clearGroupParticipants = db.prepare(`
+  DELETE FROM group_participants WHERE session_id = @session_id AND group_jid = @group_jid
+`);
+
+const setGroupParticipants = db.transaction((sessionId, groupJid, participants) => {
+  clearGroupParticipants.run({ session_id: sessionId, group_jid: groupJid });
+  for (const { id, admin } of participants) {
+    upsertGroupParticipant.run({ session_id: sessionId, group_jid: groupJid, participant_jid: id, admin: admin || null });
+  }
+});
+
+const CONTACT_COLUMNS = `jid, lid, name, notify, verified_name, updated_at`;
+
+const upsertContact = db.prepare(`
+  INSERT INTO contacts (session_id, jid, lid, name, notify, verified_name, updated_at)
+  VALUES (@session_id, @jid, @lid, @name, @notify, @verified_name, @now)
+  ON CONFLICT(session_id, jid) DO UPDATE SET
+    lid = COALESCE(excluded.lid, lid),
+    name = COALESCE(excluded.name, name),
+    notify = COALESCE(excluded.notify, notify),
+    verified_name = COALESCE(excluded.verified_name, verified_name),
+    updated_at = excluded.updated_at
+`);
+
+const getContact = db.prepare(`
+  SELECT ${CONTACT_COLUMNS} FROM contacts
+  WHERE session_id = @session_id AND (jid = @jid OR lid = @jid)
+  ORDER BY jid = @jid DESC
+  LIMIT 1
+`);
+
+const searchContacts = db.prepare(`
+  SELECT ${CONTACT_COLUMNS} FROM contacts
+  WHERE session_id = @session_id
+    AND (@pattern IS NULL
+      OR name LIKE @pattern ESCAPE '\\'
+      OR notify LIKE @pattern ESCAPE '\\'
+      OR verified_name LIKE @pattern ESCAPE '\\'
+      OR jid LIKE @pattern ESCAPE '\\')
+  ORDER BY COALESCE(name, verified_name, notify, jid) COLLATE NOCASE
+  LIMIT @limit OFFSET @offset
+`);
+
+const insertPoll = db.prepare(`
+  INSERT OR IGNORE INTO polls (session_id, message_id, jid, question, options, selectable_count, created_at)
+  VALUES (@session_id, @message_id, @jid, @question, @options, @selectable_count, @created_at)
+`);
+
+const getPoll = db.prepare(`
+  SELECT message_id, jid, question, options, selectable_count, created_at FROM polls
+  WHERE session_id = @session_id AND message_id = @message_id
+`);
+
+const getPollsForMessages = db.prepare(`
+  SELECT message_id, jid, question, options, selectable_count, created_at FROM polls
+  WHERE session_id = @session_id AND message_id IN (SELECT value FROM json_each(@ids))
+`);
+
+const getPollTallies = db.prepare(`
+  SELECT poll_id, option_name, COUNT(*) as votes, json_group_array(voter_jid) as voters
+  FROM poll_votes
+  WHERE session_id = @session_id AND poll_id IN (SELECT value FROM json_each(@ids))
+  GROUP BY poll_id, option_name
+`);
+
+const deletePollVotesByVoter = db.prepare(`
+  DELETE FROM poll_votes WHERE session_id = @session_id AND poll_id = @poll_id AND voter_jid = @voter_jid
+`);
+
+const insertPollVote = db.prepare(`
+  INSERT OR IGNORE INTO poll_votes (session_id, poll_id, voter_jid, option_name, voted_at)
+  VALUES (@session_id, @poll_id, @voter_jid, @option_name, @voted_at)
+`);
+
+// Every vote message carries the voter's full selection, so it replaces the previous one.
+const setPollVote = db.transaction(({ session_id, poll_id, voter_jid, options, voted_at }) => {
+  deletePollVotesByVoter.run({ session_id, poll_id, voter_jid });
+  for (const option_name of options) {
+    insertPollVote.run({ session_id, poll_id, voter_jid, option_name, voted_at });
+  }
+});
+
+const getSessionSettings = db.prepare(`
+  SELECT online, updated_at FROM session_settings WHERE session_id = @session_id
+`);
+
+const setSessionOnline = db.prepare(`
+  INSERT INTO session_settings (session_id, online, updated_at)
+  VALUES (@session_id, @online, @now)
+  ON CONFLICT(session_id) DO UPDATE SET online = excluded.online, updated_at = excluded.updated_at
+`);
+
+// Keeps the first time each receipt arrived; only writes when one is new.
+const upsertMessageReceipt = db.prepare(`
+  INSERT INTO message_receipts (session_id, message_id, recipient_jid, delivered_at, read_at, played_at)
+  VALUES (@session_id, @message_id, @recipient_jid, @delivered_at, @read_at, @played_at)
+  ON CONFLICT(session_id, message_id, recipient_jid) DO UPDATE SET
+    delivered_at = COALESCE(delivered_at, excluded.delivered_at),
+    read_at = COALESCE(read_at, excluded.read_at),
+    played_at = COALESCE(played_at, excluded.played_at)
+  WHERE (delivered_at IS NULL AND excluded.delivered_at IS NOT NULL)
+    OR (read_at IS NULL AND excluded.read_at IS NOT NULL)
+    OR (played_at IS NULL AND excluded.played_at IS NOT NULL)
+`);
+
+const getMessageReceipt = db.prepare(`
+  SELECT recipient_jid as recipient, delivered_at as deliveredAt, read_at as readAt, played_at as playedAt
+  FROM message_receipts
+  WHERE session_id = @session_id AND message_id = @message_id AND recipient_jid = @recipient_jid
+`);
+
+const getMessageReceipts = db.prepare(`
+  SELECT
+    r.recipient_jid as jid,
+    ${contactNameFor('r', 'r.recipient_jid')} as name,
+    r.delivered_at as deliveredAt,
+    r.read_at as readAt,
+    r.played_at as playedAt
+  FROM message_receipts r
+  WHERE r.session_id = @session_id AND r.message_id = @message_id
+  ORDER BY r.read_at IS NULL, r.read_at, r.delivered_at
+`);
+
+// Group members other than us that have not received a message yet.
+const getPendingGroupRecipients = db.prepare(`
+  SELECT p.participant_jid as jid, ${contactNameFor('p', 'p.participant_jid')} as name
+  FROM group_participants p
+  WHERE p.session_id = @session_id AND p.group_jid = @jid
+    AND p.participant_jid IS NOT @me_id AND p.participant_jid IS NOT @me_lid
+    AND NOT EXISTS (
+      SELECT 1 FROM message_receipts r
+      WHERE r.session_id = p.session_id AND r.message_id = @message_id
+        AND r.recipient_jid = p.participant_jid AND r.delivered_at IS NOT NULL
+    )
+`);
+
+// How many group members other than us have received and read a message.
+const countGroupReceipts = db.prepare(`
+  SELECT
+    COUNT(*) as recipients,
+    COUNT(r.delivered_at) as delivered,
+    COUNT(r.read_at) as read
+  FROM group_participants p
+  LEFT JOIN message_receipts r ON r.session_id = p.session_id
+    AND r.message_id = @message_id AND r.recipient_jid = p.participant_jid
+  WHERE p.session_id = @session_id AND p.group_jid = @jid
+    AND p.participant_jid IS NOT @me_id AND p.participant_jid IS NOT @me_lid
+`);
+
+const insertSessionEvent = db.prepare(`
+  INSERT INTO session_events (session_id, seq, event, payload, created_at)
+  VALUES (@session_id, @seq, @event, @payload, @created_at)
+`);
+
+const getLatestEventSeq = db.prepare(`
+  SELECT MAX(seq) as seq FROM session_events WHERE session_id = @session_id
+`);
+
+const getOldestEventSeq = db.prepare(`
+  SELECT MIN(seq) as seq FROM session_events WHERE session_id = @session_id
+`);
+
+const getSessionEventsSince = db.prepare(`
+  SELECT seq, event, payload, created_at as createdAt FROM session_events
+  WHERE session_id = @session_id AND seq > @since
+  ORDER BY seq
+  LIMIT @limit
+`);
+
+const pruneSessionEvents = db.prepare(`
+  DELETE FROM session_events WHERE session_id = @session_id AND seq <= @before_seq
+`);
+
+const insertSessionMetadata = db.prepare(`
+  INSERT INTO session_metadata (session_id, label, created_at)
+  VALUES (@session_id, @label, @now)
+  ON CONFLICT(session_id) DO NOTHING
+`);
+
+const getSessionMetadata = db.prepare(`
+  SELECT
+    label,
+    created_at as createdAt,
+    me_jid as meJid,
+    phone_number as phoneNumber,
+    last_connected_at as lastConnectedAt,
+    last_activity_at as lastActivityAt,
+    last_disconnect_code as lastDisconnectCode,
+    paused
+  FROM session_metadata WHERE session_id = @session_id
+`);
+
+const setSessionLabel = db.prepare(`
+  UPDATE session_metadata SET label = @label WHERE session_id = @session_id
+`);
+
+const setSessionConnected = db.prepare(`
+  UPDATE session_metadata SET me_jid = @me_jid, phone_number = @phone_number, last_connected_at = @now
+  WHERE session_id = @session_id
+`);
+
+const setSessionDisconnectCode = db.prepare(`
+  UPDATE session_metadata SET last_disconnect_code = @code WHERE session_id = @session_id
+`);
+
+const setSessionActivity = db.prepare(`
+  UPDATE session_metadata SET last_activity_at = @now WHERE session_id = @session_id
+`);
+
+const setSessionPaused = db.prepare(`
+  UPDATE session_metadata SET paused = @paused WHERE session_id = @session_id
+`);
+
 const runInTransaction = (fn) => db.transaction(fn)();
 
 export {
@@ -214,20 +1352,138 @@ export {
   insertMessage,
   updateMessageStatus,
   getMessagesByJid,
+  getMessagesBeforeCursor,
+  getMessagesAfterCursor,
+  searchMessages,
   getReactionsForMessages,
   getSingleMessage,
   getMessageById,
+  getMediaDetails,
+  updateMessageMediaSha256,
   getOldestMessageDetails,
   getMessageKeyDetails,
+  getSingleMessageState,
+  revokeMessage,
+  editMessage,
+  deleteMessageForMe,
   findMessageBySha256,
   deleteOldMessages,
   deleteSessionData,
+  deleteAccountData,
+  getSessionChats,
+  getSessionMessages,
+  getSessionReactions,
 
   upsertChat,
   getChats,
+  upsertChatActivity,
+  getChat,
   resetChatUnreadCount,
+  setChatMarkedUnread,
+  markChatReadUpTo,
+  getLatestIncomingMessages,
+  getLatestChatMessage,
+  setChatArchived,
+  setChatPinnedAt,
+  countPinnedChats,
+  setChatMutedUntil,
+  setChatHistoryExhausted,
+  getChatHistoryExhausted,
+  clearChatMessages,
+  deleteStoredChat,
 
   upsertReaction,
   deleteReaction,
-  deleteOldReactions
+  deleteOldReactions,
+
+  getMediaPolicy,
+  upsertMediaPolicy,
+
+  insertWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhooksBySession,
+  getActiveWebhooks,
+  insertWebhookDelivery,
+  getDueWebhookDeliveries,
+  updateWebhookDelivery,
+  getWebhookDeliveries,
+  retryWebhookDelivery,
+  deleteOldWebhookDeliveries,
+
+  insertApiKey,
+  getApiKeyForAuth,
+  getApiKey,
+  getApiKeys,
+  updateApiKey,
+  touchApiKey,
+  revokeApiKey,
+  expireApiKey,
+  bindApiKeySession,
+  setApiKeySessions,
+
+  insertOutboxItem,
+  getOutboxItem,
+  getPendingOutboxItems,
+  getOutboxItems,
+  updateOutboxItem,
+  getPrunableOutboxMedia,
+  deleteOldOutboxItems,
+  isMediaReferenced,
+
+  insertScheduledMessage,
+  getScheduledMessage,
+  getScheduledMessages,
+  getDueScheduledMessages,
+  isTempIdInUse,
+  isTempIdScheduled,
+  getQueuedScheduledMessages,
+  updateScheduledMessage,
+  claimScheduledMessage,
+  finishScheduledMessage,
+  cancelScheduledMessage,
+  resetInterruptedScheduledMessages,
+
+  upsertGroup,
+  upsertGroupChat,
+  getGroup,
+  getGroups,
+  getGroupParticipants,
+  upsertGroupParticipant,
+  deleteGroupParticipant,
+  setGroupParticipants,
+
+  upsertContact,
+  getContact,
+  searchContacts,
+
+  insertPoll,
+  getPoll,
+  getPollsForMessages,
+  getPollTallies,
+  setPollVote,
+
+  getSessionSettings,
+  setSessionOnline,
+
+  upsertMessageReceipt,
+  getMessageReceipt,
+  getMessageReceipts,
+  getPendingGroupRecipients,
+  countGroupReceipts,
+
+  insertSessionEvent,
+  getLatestEventSeq,
+  getOldestEventSeq,
+  getSessionEventsSince,
+  pruneSessionEvents,
+
+  insertSessionMetadata,
+  getSessionMetadata,
+  setSessionLabel,
+  setSessionConnected,
+  setSessionDisconnectCode,
+  setSessionActivity,
+  setSessionPaused
 };
@@ -0,0 +1,98 @@
+// @path: event-log.js
+import {
+  insertSessionEvent,
+  getLatestEventSeq,
+  getOldestEventSeq,
+  getSessionEventsSince,
+  pruneSessionEvents,
+} from './database.js';
+
+// Events kept per session for replay.
+const EVENT_LOG_SIZE = Number(process.env.EVENT_LOG_SIZE) || 10000;
+const PRUNE_EVERY = 100;
+const REPLAY_BATCH = 500;
+
+// Login and connection state and presence only mean something live, so they
+// are neither numbered nor replayed.
+const TRANSIENT_EVENTS = new Set([
+  'qr',
+  'pairing-code',
+  'pairing-code-expired',
+  'authenticated',
+  'disconnected',
+  'whatsapp-presence',
+]);
+
+export const isReplayable = event => !TRANSIENT_EVENTS.has(event);
+
+// Latest sequence number per session, read from the log after a restart.
+const latestSeqs = new Map();
+
+export function latestEventSeq(sessionId) {
+  if (!latestSeqs.has(sessionId)) {
+    latestSeqs.set(sessionId, getLatestEventSeq.get({ session_id: sessionId }).seq ?? 0);
+  }
+  return latestSeqs.get(sessionId);
+}
+
+// Logs an event under the session's next sequence number and returns it.
+export function appendEvent(sessionId, event, payload) {
+  const seq = latestEventSeq(sessionId) + 1;
+  insertSessionEvent.run({
+    session_id: sessionId,
+    seq,
+    event,
+    payload: payload === undefined ? null : JSON.stringify(payload),
+    created_at: Date.now(),
+  });
+  latestSeqs.set(sessionId, seq);
+  if (seq % PRUNE_EVERY === 0) pruneSessionEvents.run({ session_id: sessionId, before_seq: seq - EVENT_LOG_SIZE });
+  return seq;
+}
+
+export const forgetEventLog = sessionId => latestSeqs.delete(sessionId);
+
+/**
+ * Logged events after `since`, oldest first. `gap` means some of them were
+ * already pruned (or `since` is unknown), so the client has to re-sync from
+ * `/chats` and `/history` instead.
+ */
+export function loadEventsSince(sessionId, since, limit) {
+  const rows = getSessionEventsSince.all({ session_id: sessionId, since, limit: limit + 1 });
+  // Read from the log itself: under `supervisor.js` the events are written by
+  // a worker process, so this process's cache may be behind.
+  const latestSeq = getLatestEventSeq.get({ session_id: sessionId }).seq ?? 0;
+  const oldestSeq = getOldestEventSeq.get({ session_id: sessionId }).seq ?? latestSeq + 1;
+
+  return {
+    events: rows.slice(0, limit).map(row => ({
+      ...row,
+      payload: row.payload === null ? undefined : JSON.parse(row.payload),
+    })),
+    hasMore: rows.length > limit,
+    latestSeq,
+    gap: since > latestSeq || (since < latestSeq && oldestSeq > since + 1),
+  };
+}
+
+/**
+ * Sends a reconnecting socket everything logged after `since`, then
+ * `replay-complete`. Under the supervisor, events logged by a worker can
+ * still be on their way here; `emitToSession` skips them for this socket,
+ * which already got them replayed.
+ */
+export function replayEvents(socket, sessionId, since) {
+  let cursor = since;
+  let page;
+  let gap;
+  do {
+    page = loadEventsSince(sessionId, cursor, REPLAY_BATCH);
+    gap ??= page.gap;
+    for (const { seq, event, payload } of page.events) {
+      socket.emit(event, payload, { seq, replayed: true });
+      cursor = seq;
+    }
+  } while (page.hasMore);
+  socket.data.replayedSeq = cursor;
+  socket.emit('replay-complete', { latestSeq: page.latestSeq, gap });
+}
@@ -0,0 +1,138 @@
+// @path: groups.js
+import { logger } from './logger.js';
+import {
+  upsertGroup,
+  upsertGroupChat,
+  getGroup,
+  getGroupParticipants,
+  upsertGroupParticipant,
+  deleteGroupParticipant,
+  setGroupParticipants,
+  runInTransaction,
+} from './database.js';
+
+export const inviteUrlFor = code => `https://chat.whatsapp.com/${code}`;
+
+const flag = value => (value === undefined || value === null ? null : value ? 1 : 0);
+const bool = value => (value === null ? null : !!value);
+
+export const toGroup = (row, participants) => row && ({
+  jid: row.jid,
+  subject: row.subject,
+  subjectOwner: row.subject_owner,
+  subjectTime: row.subject_time,
+  description: row.description || null,
+  owner: row.owner,
+  creation: row.creation,
+  size: row.size,
+  settings: {
+    announce: bool(row.announce),
+    restrict: bool(row.restrict_info),
+    memberAddMode: bool(row.member_add_mode),
+    joinApprovalMode: bool(row.join_approval_mode),
+    ephemeralDuration: row.ephemeral_duration,
+  },
+  isCommunity: bool(row.is_community),
+  linkedParent: row.linked_parent,
+  updatedAt: row.updated_at,
+  ...(participants && { participants }),
+});
+
+export function loadGroup(sessionId, jid, { withParticipants = true } = {}) {
+  const row = getGroup.get({ session_id: sessionId, jid });
+  if (!row) return null;
+  return toGroup(row, withParticipants ? getGroupParticipants.all({ session_id: sessionId, group_jid: jid }) : undefined);
+}
+
+/**
+ * Stores full or partial Baileys `GroupMetadata`. Fields missing from a
+ * partial update keep their stored value; participants are only replaced
+ * when the update lists them.
+ */
+function storeGroupMetadata(sessionId, metadata) {
+  upsertGroup.run({
+    session_id: sessionId,
+    jid: metadata.id,
+    subject: metadata.subject ?? null,
+    subject_owner: metadata.subjectOwner ?? null,
+    subject_time: metadata.subjectTime || null,
+    // A full fetch (with participants) without a description means it was removed.
+    description: metadata.desc ?? (metadata.participants ? '' : null),
+    owner: metadata.owner ?? null,
+    creation: metadata.creation || null,
+    announce: flag(metadata.announce),
+    restrict_info: flag(metadata.restrict),
+    member_add_mode: flag(metadata.memberAddMode),
+    join_approval_mode: flag(metadata.joinApprovalMode),
+    ephemeral_duration: metadata.ephemeralDuration ?? null,
+    is_community: flag(metadata.isCommunity),
+    linked_parent: metadata.linkedParent ?? null,
+    now: Date.now(),
+  });
+
+  if (metadata.participants) setGroupParticipants(sessionId, metadata.id, metadata.participants);
+
+  if (metadata.subject) {
+    upsertGroupChat.run({ session_id: sessionId, jid: metadata.id, name: metadata.subject });
+  }
+}
+
+export function saveGroupMetadata(session, metadata) {
+  runInTransaction(() => storeGroupMetadata(session.id, metadata));
+  return loadGroup(session.id, metadata.id);
+}
+
+// Handler for Baileys' `groups.upsert` and `groups.update` events.
+export function applyGroupUpdates(session, updates) {
+  const changed = updates.filter(update => update?.id);
+  runInTransaction(() => {
+    for (const update of changed) storeGroupMetadata(session.id, update);
+  });
+  for (const update of changed) {
+    session.io.emit('group-update', {
+      ...loadGroup(session.id, update.id, { withParticipants: false }),
+      author: update.author ?? null,
+    });
+  }
+}
+
+const PARTICIPANT_ADMIN_BY_ACTION = { add: null, promote: 'admin', demote: null };
+
+// Handler for Baileys' `group-participants.update` event.
+export function applyParticipantsUpdate(session, { id, author, participants = [], action }) {
+  runInTransaction(() => {
+    for (const participant of participants) {
+      const jid = typeof participant === 'string' ? participant : participant?.id;
+      if (!jid) continue;
+      const key = { session_id: session.id, group_jid: id, participant_jid: jid };
+      if (action === 'remove') {
+        deleteGroupParticipant.run(key);
+      } else if (action in PARTICIPANT_ADMIN_BY_ACTION) {
+        upsertGroupParticipant.run({ ...key, admin: PARTICIPANT_ADMIN_BY_ACTION[action] });
+      }
+    }
+  });
+
+  session.io.emit('group-participants-update', { jid: id, author: author ?? null, action, participants });
+}
+
+/**
+ * Fetches a group's metadata from WhatsApp and stores it.
+ */
+export async function refreshGroup(session, jid) {
+  const metadata = await session.sock.groupMetadata(jid);
+  return saveGroupMetadata(session, metadata);
+}
+
+/**
+ * Refreshes every group the account is in. Baileys reports the result as a
+ * `groups.update` event, which stores it.
+ */
+export async function syncGroups(session) {
+  try {
+    const groups = await session.sock.groupFetchAllParticipating();
+    logger.info(`[${session.id}] Synced ${Object.keys(groups).length} group(s).`);
+  } catch (e) {
+    logger.warn(`[${session.id}] Failed to sync groups: ${e.message}`);
+  }
+}
@@ -0,0 +1,202 @@
+// @path: media-store.js
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import dotenv from 'dotenv';
+import { downloadMediaMessage, normalizeMessageContent } from '@whiskeysockets/baileys';
+import { logger } from './logger.js';
+import { getMediaPolicy, isMediaReferenced, updateMessageMediaSha256 } from './database.js';
+import { requestPublicUrl } from './public-http.js';
+
+dotenv.config();
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || './media');
+const TMP_DIR = path.join(MEDIA_DIR, 'tmp');
+
+export const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const THUMBNAIL_TYPES = ['image', 'video', 'document', 'sticker'];
+
+const inflight = new Map();
+
+const isSha256 = value => typeof value === 'string' && /^[a-f0-9]{64}$/.test(value);
+
+export const getMediaPath = sha256 => path.join(MEDIA_DIR, sha256.slice(0, 2), sha256);
+
+// Stored media is shared by content hash, so a file is only deleted once nothing points at it.
+export async function deleteUnusedMedia(sha256) {
+  if (!isSha256(sha256) || isMediaReferenced.get({ sha256 }).in_use) return;
+  await fsp.rm(getMediaPath(sha256), { force: true });
+}
+
+export async function hasMedia(sha256) {
+  if (!isSha256(sha256)) return false;
+  try {
+    await fsp.access(getMediaPath(sha256));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Writes a stream into the store and returns its SHA-256. The file is
+ * hashed while it is written to a temp file and only renamed into place
+ * once complete, so readers never see a partial file.
+ */
+export async function storeMediaStream(stream) {
+  await fsp.mkdir(TMP_DIR, { recursive: true });
+  const tmpPath = path.join(TMP_DIR, crypto.randomUUID());
+  const hash = crypto.createHash('sha256');
+
+  try {
+    await pipeline(
+      stream,
+      new Transform({
+        transform(chunk, _enc, cb) {
+          hash.update(chunk);
+          cb(null, chunk);
+        },
+      }),
+      fs.createWriteStream(tmpPath)
+    );
+
+    const sha256 = hash.digest('hex');
+    const finalPath = getMediaPath(sha256);
+    if (await hasMedia(sha256)) {
+      await fsp.rm(tmpPath, { force: true });
+    } else {
+      await fsp.mkdir(path.dirname(finalPath), { recursive: true });
+      await fsp.rename(tmpPath, finalPath);
+    }
+    return sha256;
+  } catch (e) {
+    await fsp.rm(tmpPath, { force: true });
+    throw e;
+  }
+}
+
+export const storeMediaBuffer = buffer => storeMediaStream(Readable.from(buffer));
+
+const URL_FETCH_TIMEOUT_MS = 60000;
+const URL_FETCH_MAX_REDIRECTS = 5;
+
+/**
+ * Downloads `url` into the store, failing once more than `maxBytes` have
+ * arrived. Returns `{ sha256, mimetype }`, the mimetype being the one the
+ * server reported. Private and local addresses are refused with a
+ * `BlockedUrlError`, on every redirect too.
+ */
+export async function storeMediaFromUrl(url, maxBytes) {
+  const res = await requestPublicUrl(url, {
+    maxRedirects: URL_FETCH_MAX_REDIRECTS,
+    signal: AbortSignal.timeout(URL_FETCH_TIMEOUT_MS),
+  });
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    res.resume();
+    throw new Error(`Fetching media failed with HTTP ${res.statusCode}.`);
+  }
+  if (Number(res.headers['content-length']) > maxBytes) {
+    res.destroy();
+    throw new Error('Media at URL is too large.');
+  }
+
+  const sha256 = await storeMediaStream(Readable.from((async function* () {
+    let received = 0;
+    for await (const chunk of res) {
+      received += chunk.length;
+      if (received > maxBytes) throw new Error('Media at URL is too large.');
+      yield chunk;
+    }
+  })()));
+  const mimetype = res.headers['content-type']?.split(';')[0].trim() || null;
+  return { sha256, mimetype };
+}
+
+/**
+ * Makes sure the media of a WhatsApp message is in the store, downloading it
+ * (and asking the phone to re-upload it if the CDN link expired) when missing.
+ * Concurrent calls for the same media share a single download.
+ */
+export function ensureMedia(session, message, expectedSha256 = null) {
+  const key = isSha256(expectedSha256) ? expectedSha256 : message.key.id;
+  if (inflight.has(key)) return inflight.get(key);
+
+  const task = (async () => {
+    if (await hasMedia(expectedSha256)) return expectedSha256;
+
+    const started = Date.now();
+    const stream = await downloadMediaMessage(message, 'stream', {}, {
+      logger,
+      reuploadRequest: session.sock.updateMediaMessage,
+    });
+    const sha256 = await storeMediaStream(stream);
+
+    if (sha256 !== expectedSha256) {
+      updateMessageMediaSha256.run({ media_sha256: sha256, message_id: message.key.id, session_id: session.id });
+    }
+    logger.info(`[${session.id}] Stored media for message ${message.key.id} in ${Date.now() - started}ms.`);
+    return sha256;
+  })().finally(() => inflight.delete(key));
+
+  inflight.set(key, task);
+  return task;
+}
+
+export const thumbnailUrlFor = (type, messageId) =>
+  THUMBNAIL_TYPES.includes(type) ? `/media/${messageId}/thumbnail` : null;
+
+// Raw messages round-trip through JSON, so bytes may come back as base64,
+// a `{ type: 'Buffer', data }` object or an index-keyed Uint8Array dump.
+const toBuffer = value => {
+  if (typeof value === 'string') return Buffer.from(value, 'base64');
+  if (value?.type === 'Buffer' && Array.isArray(value.data)) return Buffer.from(value.data);
+  if (value instanceof Uint8Array) return Buffer.from(value);
+  return Buffer.from(Object.values(value));
+};
+
+/**
+ * Returns the preview embedded in an image, video, document or sticker
+ * message as `{ buffer, mimetype }`, or null when there is none.
+ */
+export function extractThumbnail(message) {
+  const content = normalizeMessageContent(message?.message);
+  for (const type of THUMBNAIL_TYPES) {
+    const media = content?.[`${type}Message`];
+    const thumbnail = media?.jpegThumbnail || media?.pngThumbnail;
+    if (!thumbnail) continue;
+
+    const buffer = toBuffer(thumbnail);
+    if (!buffer.length) return null;
+    return { buffer, mimetype: media.jpegThumbnail ? 'image/jpeg' : 'image/png' };
+  }
+  return null;
+}
+
+export const parseMediaPolicy = row => ({
+  types: row ? JSON.parse(row.types) : [],
+  maxBytes: row?.max_bytes ?? null,
+  includeHistory: !!row?.include_history,
+});
+
+/**
+ * Queues background downloads for freshly received media that matches the
+ * session's pre-fetch policy, so it is captured before the CDN link expires.
+ * `items` are `{ message, type, sha256, size }`.
+ */
+export function prefetchMedia(session, items, isHistorical = false) {
+  if (!items.length || !session.mediaQueue) return;
+
+  const policy = parseMediaPolicy(getMediaPolicy.get({ session_id: session.id }));
+  if (!policy.types.length || (isHistorical && !policy.includeHistory)) return;
+
+  for (const item of items) {
+    if (!policy.types.includes(item.type)) continue;
+    if (policy.maxBytes && (!item.size || item.size > policy.maxBytes)) continue;
+
+    session.mediaQueue.add(() => ensureMedia(session, item.message, item.sha256)).catch(err =>
+      logger.warn(`[${session.id}] Media pre-fetch failed for ${item.message.key.id}: ${err.message}`)
+    );
+  }
+}
@@ -0,0 +1,113 @@
+// @path: metrics.js
+import cluster from 'cluster';
+import client from 'prom-client';
+import { sessions } from './sessions.js';
+
+// Everything is registered on prom-client's default registry, which is also
+// what `supervisor.js` collects from each worker.
+export const { register } = client;
+
+client.collectDefaultMetrics();
+
+// In a worker, creating an aggregator makes prom-client answer the
+// supervisor's requests for this process's metrics.
+if (cluster.isWorker) new client.AggregatorRegistry();
+
+new client.Gauge({
+  name: 'wami_session_connected',
+  help: 'Whether the session is logged in and connected to WhatsApp (1) or not (0).',
+  labelNames: ['session'],
+  collect() {
+    this.reset();
+    for (const session of sessions.values()) this.set({ session: session.id }, session.isAuthenticated ? 1 : 0);
+  },
+});
+
+export const sessionReconnects = new client.Counter({
+  name: 'wami_session_reconnects_total',
+  help: 'Reconnect attempts after the WhatsApp connection closed.',
+  labelNames: ['session'],
+});
+
+export const sessionDisconnects = new client.Counter({
+  name: 'wami_session_disconnects_total',
+  help: 'WhatsApp connection closes, by disconnect reason code.',
+  labelNames: ['session', 'code'],
+});
+
+new client.Gauge({
+  name: 'wami_message_queue_size',
+  help: 'Messages waiting in the session\'s send queue.',
+  labelNames: ['session'],
+  collect() {
+    this.reset();
+    for (const session of sessions.values()) {
+      if (session.messageQueue) this.set({ session: session.id }, session.messageQueue.size);
+    }
+  },
+});
+
+new client.Gauge({
+  name: 'wami_message_queue_pending',
+  help: 'Messages the session\'s send queue is sending right now.',
+  labelNames: ['session'],
+  collect() {
+    this.reset();
+    for (const session of sessions.values()) {
+      if (session.messageQueue) this.set({ session: session.id }, session.messageQueue.pending);
+    }
+  },
+});
+
+export const messagesReceived = new client.Counter({
+  name: 'wami_messages_received_total',
+  help: 'Messages received, by message type.',
+  labelNames: ['session', 'type'],
+});
+
+export const messagesSent = new client.Counter({
+  name: 'wami_messages_sent_total',
+  help: 'Messages sent from the session (through the API or another device), by message type.',
+  labelNames: ['session', 'type'],
+});
+
+export const mediaDownloadSeconds = new client.Histogram({
+  name: 'wami_media_download_duration_seconds',
+  help: 'Time to download media from WhatsApp for /media/:messageId.',
+  labelNames: ['session'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+
+export const mediaDownloadFailures = new client.Counter({
+  name: 'wami_media_download_failures_total',
+  help: 'Failed media downloads for /media/:messageId.',
+  labelNames: ['session'],
+});
+
+const statementSeconds = new client.Histogram({
+  name: 'wami_sqlite_statement_duration_seconds',
+  help: 'SQLite statement execution time, by statement.',
+  labelNames: ['statement'],
+  buckets: [0.0001, 0.0005, 0.001, 0.005, 0.01, 0.05, 0.1, 0.5],
+});
+
+/**
+ * Times `run`, `get` and `all` of every prepared statement in `statements`
+ * (e.g. the `database.js` module), labelled with its export name.
+ */
+export function instrumentStatements(statements) {
+  for (const [name, statement] of Object.entries(statements)) {
+    if (typeof statement?.run !== 'function' || typeof statement.source !== 'string') continue;
+    for (const method of ['run', 'get', 'all']) {
+      const original = statement[method];
+      statement[method] = function (...args) {
+        const stopTimer = statementSeconds.startTimer({ statement: name });
+        try {
+          return original.apply(this, args);
+        } finally {
+          stopTimer();
+        }
+      };
+    }
+  }
+}
@@ -1,19 +1,65 @@
 // @path: middleware/auth.js
-import { sessions } from '../app.js';
+import { sessions } from '../sessions.js';
+import { verifyApiKey, hasScope, isGlobalAdmin, canAccessSession } from '../api-keys.js';
+import { recordActivity } from '../session-info.js';
 
-const auth = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  const session = sessions.get(token);
+const getToken = req => req.headers.authorization?.split(' ')[1];
 
-  if (!token || !session) {
-    return res.status(401).json({ error: 'Unauthorized: Invalid or missing session token.' });
+// Keys bound to a single session may omit the session id.
+const resolveSessionId = (key, requested) =>
+  requested || (key.sessions.length === 1 ? key.sessions[0] : null);
+
+/**
+ * Checks an API key and the session it is used for. Returns
+ * `{ key, session }` on success or `{ status, error }` otherwise.
+ */
+export function authorize(token, requestedSessionId, { scope = 'read', requireConnected = true } = {}) {
+  const key = verifyApiKey(token);
+  if (!key) return { status: 401, error: 'Unauthorized: Invalid or missing API key.' };
+  if (!hasScope(key, scope)) return { status: 403, error: `Forbidden: API key lacks the \`${scope}\` scope.` };
+
+  const sessionId = resolveSessionId(key, requestedSessionId);
+  if (!sessionId) return { status: 400, error: 'Missing session id (X-Session-Id header).' };
+  if (!canAccessSession(key, sessionId)) {
+    return { status: 403, error: 'Forbidden: API key is not allowed to use this session.' };
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session) return { status: 404, error: 'Session not found.' };
+  if (requireConnected && (!session.sock || !session.isAuthenticated)) {
+    return { status: 401, error: 'Unauthorized: Session is not authenticated.' };
   }
 
-  if (!session.sock || !session.isAuthenticated) {
-    return res.status(401).json({ error: 'Unauthorized: Session is not authenticated.' });
+  recordActivity(session);
+  return { key, session };
+}
+
+const authenticate = options => (req, res, next) => {
+  const result = authorize(getToken(req), req.headers['x-session-id'], options);
+  if (result.error) return res.status(result.status).json({ error: result.error });
+
+  req.apiKey = result.key;
+  req.session = result.session;
+  next();
+};
+
+const auth = authenticate();
+
+export const authSession = authenticate({ requireConnected: false });
+
+export const requireScope = scope => (req, res, next) => {
+  if (!hasScope(req.apiKey, scope)) {
+    return res.status(403).json({ error: `Forbidden: API key lacks the \`${scope}\` scope.` });
   }
+  next();
+};
+
+export const adminAuth = (req, res, next) => {
+  const key = verifyApiKey(getToken(req));
+  if (!key) return res.status(401).json({ error: 'Unauthorized: Invalid or missing API key.' });
+  if (!isGlobalAdmin(key)) return res.status(403).json({ error: 'Forbidden: Admin API key required.' });
 
-  req.session = session;
+  req.apiKey = key;
   next();
 };
 
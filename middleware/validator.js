@@ -1,5 +1,5 @@
 // @path: middleware/validator.js
-import { validationResult } from 'express-validator';
+import { body, validationResult } from 'express-validator';
 
 const validate = (validations) => {
   return async (req, res, next) => {
@@ -14,4 +14,11 @@ const validate = (validations) => {
   };
 };
 
+// Shared by every endpoint that can schedule a message.
+export const sendAtValidator = () => body('sendAt')
+  .isInt({ min: 0 })
+  .toInt()
+  .custom(value => value > Date.now())
+  .withMessage('sendAt must be a future timestamp in milliseconds.');
+
 export default validate;
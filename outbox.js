@@ -0,0 +1,210 @@
+// @path: outbox.js
+import { logger } from './logger.js';
+import { deleteUnusedMedia, getMediaPath } from './media-store.js';
+import { loadStoredMessage } from './whatsapp-service.js';
+import { settleQueuedScheduledMessages } from './scheduler.js';
+import {
+  insertOutboxItem,
+  getOutboxItem,
+  getPendingOutboxItems,
+  updateOutboxItem,
+  getPrunableOutboxMedia,
+  deleteOldOutboxItems,
+  isTempIdScheduled,
+  runInTransaction,
+} from './database.js';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 30000;
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Errors that mean "try again later" rather than "this message is bad".
+const TRANSIENT_STATUS_CODES = [408, 428, 440, 503];
+
+export const toOutboxItem = row => row && ({
+  tempId: row.temp_id,
+  jid: row.jid,
+  kind: row.kind,
+  status: row.status,
+  messageId: row.message_id,
+  error: row.error,
+  attempts: row.attempts,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+// Keeps the original `/send` response shape for sent and failed messages.
+// `item` is null when `enqueueOutbound` refused the tempId.
+export const respondWithOutboxItem = (res, item, tempId) => {
+  if (!item) return res.status(409).json({ error: 'tempId is already in use by a scheduled message.', tempId });
+  if (item.status === 'sent') {
+    return res.json({ success: true, messageId: item.messageId, tempId: item.tempId, status: item.status, timestamp: item.updatedAt });
+  }
+  if (item.status === 'pending') {
+    return res.status(202).json({ success: true, tempId: item.tempId, status: item.status });
+  }
+  res.status(500).json({ error: item.error, tempId: item.tempId, status: item.status });
+};
+
+/**
+ * Turns a stored outbox payload into Baileys `sendMessage` content. Media is
+ * read from the local store and forwards reuse the original message's media,
+ * so retries never need the original upload.
+ */
+export function buildMessageContent(session, kind, payload) {
+  let content;
+  if (kind === 'text') {
+    content = { text: payload.text };
+  } else if (kind === 'media') {
+    content = {
+      [payload.mediaType]: { url: getMediaPath(payload.sha256) },
+      mimetype: payload.mimetype,
+    };
+    if (payload.caption) content.caption = payload.caption;
+    if (payload.fileName) content.fileName = payload.fileName;
+    if (payload.ptt) content.ptt = true;
+  } else if (kind === 'location') {
+    content = {
+      location: {
+        degreesLatitude: payload.latitude,
+        degreesLongitude: payload.longitude,
+        name: payload.name,
+        address: payload.address,
+      },
+    };
+  } else if (kind === 'contacts') {
+    content = {
+      contacts: {
+        displayName: payload.displayName,
+        contacts: payload.contacts.map(({ displayName, vcard }) => ({ displayName, vcard })),
+      },
+    };
+  } else if (kind === 'poll') {
+    content = { poll: { name: payload.question, values: payload.options, selectableCount: payload.selectableCount } };
+  } else if (kind === 'forward') {
+    const message = loadStoredMessage(session.id, payload.messageId);
+    if (!message) throw new Error(`Message ${payload.messageId} is no longer available to forward.`);
+    content = { forward: message };
+  } else {
+    throw new Error(`Unsupported outbox item kind: ${kind}`);
+  }
+
+  if (payload.mentions?.length) content.mentions = payload.mentions;
+  return content;
+}
+
+// A quoted message that has since disappeared is dropped rather than failing the send.
+const buildSendOptions = (session, payload) => {
+  const quoted = payload.quotedMessageId && loadStoredMessage(session.id, payload.quotedMessageId);
+  return quoted ? { quoted } : {};
+};
+
+function setStatus(session, row, { status, messageId = null, error = null, attempts }) {
+  updateOutboxItem.run({
+    session_id: session.id,
+    temp_id: row.temp_id,
+    status,
+    message_id: messageId,
+    error,
+    attempts,
+    now: Date.now(),
+  });
+  session.io.emit('outbox-update', { tempId: row.temp_id, jid: row.jid, status, messageId, error });
+  if (status !== 'pending') settleQueuedScheduledMessages(session, row.temp_id, { status, messageId, error });
+}
+
+async function sendOutboxItem(session, row) {
+  session.outboxInFlight ??= new Set();
+  if (session.outboxInFlight.has(row.temp_id)) return getOutboxItem.get({ session_id: session.id, temp_id: row.temp_id });
+  session.outboxInFlight.add(row.temp_id);
+
+  const attempts = row.attempts + 1;
+  try {
+    const payload = JSON.parse(row.payload);
+    const content = buildMessageContent(session, row.kind, payload);
+    const options = buildSendOptions(session, payload);
+    const sent = await session.messageQueue.add(() => session.sock.sendMessage(row.jid, content, options));
+    setStatus(session, row, { status: 'sent', messageId: sent.key.id, attempts });
+  } catch (e) {
+    const transient = !session.isAuthenticated || TRANSIENT_STATUS_CODES.includes(e?.output?.statusCode);
+    const status = transient && attempts < MAX_ATTEMPTS ? 'pending' : 'failed';
+    setStatus(session, row, { status, error: e.message, attempts });
+    logger.warn(`[${session.id}] Outbox item ${row.temp_id} attempt ${attempts} failed (${status}): ${e.message}`);
+
+    if (status === 'pending' && session.isAuthenticated) {
+      setTimeout(() => flushOutbox(session), RETRY_DELAY_MS);
+    }
+  } finally {
+    session.outboxInFlight.delete(row.temp_id);
+  }
+
+  return getOutboxItem.get({ session_id: session.id, temp_id: row.temp_id });
+}
+
+/**
+ * Records a send request under the client's `tempId` and sends it right away
+ * when the session is connected. Re-posting a known `tempId` returns the
+ * stored item instead of sending twice. Returns null when the `tempId`
+ * belongs to a scheduled message, unless the scheduler itself is sending it.
+ */
+export async function enqueueOutbound(session, { tempId, jid, kind, payload }, { scheduled = false } = {}) {
+  if (!scheduled && isTempIdScheduled.get({ session_id: session.id, temp_id: tempId }).scheduled) return null;
+
+  const { changes } = insertOutboxItem.run({
+    session_id: session.id,
+    temp_id: tempId,
+    jid,
+    kind,
+    payload: JSON.stringify(payload),
+    now: Date.now(),
+  });
+
+  const row = getOutboxItem.get({ session_id: session.id, temp_id: tempId });
+  if (!changes) return toOutboxItem(row);
+
+  session.io.emit('outbox-update', { tempId, jid, status: 'pending', messageId: null, error: null });
+  if (!session.sock || !session.isAuthenticated) return toOutboxItem(row);
+  return toOutboxItem(await sendOutboxItem(session, row));
+}
+
+/**
+ * Sends everything still pending for the session, oldest first. Called when
+ * the WhatsApp connection opens.
+ */
+export async function flushOutbox(session) {
+  if (!session.sock || !session.isAuthenticated) return;
+
+  const pending = getPendingOutboxItems.all({ session_id: session.id });
+  if (pending.length) logger.info(`[${session.id}] Resending ${pending.length} pending outbox item(s).`);
+
+  for (const row of pending) {
+    if (!session.isAuthenticated) break;
+    await sendOutboxItem(session, row);
+  }
+}
+
+/**
+ * Deletes sent and failed items older than `RETENTION_MS`, and the uploaded
+ * media no longer used by anything else. Until then, re-posting their
+ * `tempId` still returns the stored result.
+ */
+export async function pruneOutbox(sessions = null) {
+  const params = {
+    cutoff: Date.now() - RETENTION_MS,
+    session_ids: sessions ? JSON.stringify([...sessions.keys()]) : null,
+  };
+  const mediaHashes = runInTransaction(() => {
+    const hashes = getPrunableOutboxMedia.all(params).map(row => row.sha256);
+    deleteOldOutboxItems.run(params);
+    return hashes;
+  });
+  for (const sha256 of mediaHashes) await deleteUnusedMedia(sha256);
+}
+
+// With `sessions`, only their items are pruned, like `startWebhookWorker`.
+export function startOutboxPruner(sessions = null) {
+  const run = () => pruneOutbox(sessions).catch(e => logger.error(`Outbox pruning failed: ${e.message}`));
+  run();
+  return setInterval(run, PRUNE_INTERVAL_MS).unref();
+}
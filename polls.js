@@ -0,0 +1,122 @@
+// @path: polls.js
+import crypto from 'crypto';
+import { decryptPollVote, jidNormalizedUser, toNumber } from '@whiskeysockets/baileys';
+import { logger } from './logger.js';
+import {
+  insertPoll,
+  getPoll,
+  getPollsForMessages,
+  getPollTallies,
+  setPollVote,
+} from './database.js';
+
+export const getPollCreation = message =>
+  message?.pollCreationMessage || message?.pollCreationMessageV2 || message?.pollCreationMessageV3 || null;
+
+const optionHash = name => crypto.createHash('sha256').update(Buffer.from(name)).digest('hex');
+
+const toPoll = (row, tallies = []) => {
+  const byOption = new Map(tallies.map(t => [t.option_name, t]));
+  return {
+    question: row.question,
+    selectableCount: row.selectable_count,
+    options: JSON.parse(row.options).map(name => ({
+      name,
+      votes: byOption.get(name)?.votes || 0,
+      voters: byOption.has(name) ? JSON.parse(byOption.get(name).voters) : [],
+    })),
+  };
+};
+
+/**
+ * Returns the poll (with tallies) of each of `messageIds` that is one,
+ * keyed by message id.
+ */
+export function loadPolls(sessionId, messageIds) {
+  const polls = new Map();
+  if (!messageIds.length) return polls;
+
+  const ids = JSON.stringify(messageIds);
+  const rows = getPollsForMessages.all({ session_id: sessionId, ids });
+  if (!rows.length) return polls;
+
+  const tallies = getPollTallies.all({ session_id: sessionId, ids });
+  for (const row of rows) {
+    polls.set(row.message_id, toPoll(row, tallies.filter(t => t.poll_id === row.message_id)));
+  }
+  return polls;
+}
+
+export function storePoll(sessionId, m, creation) {
+  insertPoll.run({
+    session_id: sessionId,
+    message_id: m.key.id,
+    jid: m.key.remoteJid,
+    question: creation.name || '',
+    options: JSON.stringify((creation.options || []).map(o => o.optionName || '')),
+    selectable_count: creation.selectableOptionsCount ?? 1,
+    created_at: Number(m.messageTimestamp) * 1000,
+  });
+}
+
+const authorOf = (key, meId) => (key.fromMe ? meId : jidNormalizedUser(key.participant || key.remoteJid));
+
+function recordVote(sessionId, poll, voterJid, selectedOptions, votedAt) {
+  const byHash = new Map(JSON.parse(poll.options).map(name => [optionHash(name), name]));
+  const options = (selectedOptions || [])
+    .map(hash => byHash.get(Buffer.from(hash).toString('hex')))
+    .filter(name => name !== undefined);
+
+  setPollVote({ session_id: sessionId, poll_id: poll.message_id, voter_jid: voterJid, options, voted_at: votedAt });
+}
+
+/**
+ * Decrypts a `pollUpdateMessage` with the secret of the stored poll message
+ * and records the vote. Returns the poll's message id, or null when the poll
+ * is unknown.
+ */
+export function applyPollVote(session, m, pollMessage) {
+  const update = m.message.pollUpdateMessage;
+  const poll = getPoll.get({ session_id: session.id, message_id: update.pollCreationMessageKey?.id });
+  const pollEncKey = pollMessage?.message?.messageContextInfo?.messageSecret;
+  if (!poll || !pollEncKey) return null;
+
+  const meId = jidNormalizedUser(session.sock.user.id);
+  // Taken from the stored poll, since the key in the vote is relative to the voter.
+  const pollCreatorJid = authorOf(pollMessage.key, meId);
+  const voterJid = authorOf(m.key, meId);
+
+  try {
+    const vote = decryptPollVote(update.vote, {
+      pollCreatorJid,
+      pollMsgId: poll.message_id,
+      pollEncKey,
+      voterJid,
+    });
+    const votedAt = toNumber(update.senderTimestampMs) || Number(m.messageTimestamp) * 1000;
+    recordVote(session.id, poll, voterJid, vote.selectedOptions, votedAt);
+    return poll.message_id;
+  } catch (e) {
+    logger.warn(`[${session.id}] Failed to decrypt vote for poll ${poll.message_id}: ${e.message}`);
+    return null;
+  }
+}
+
+// History sync delivers polls with their votes already decrypted.
+export function applySyncedPollUpdates(session, m) {
+  const poll = getPoll.get({ session_id: session.id, message_id: m.key.id });
+  if (!poll || !m.pollUpdates?.length) return;
+
+  const meId = jidNormalizedUser(session.sock.user.id);
+  for (const update of m.pollUpdates) {
+    if (!update.pollUpdateMessageKey || !update.vote) continue;
+    recordVote(session.id, poll, authorOf(update.pollUpdateMessageKey, meId), update.vote.selectedOptions, toNumber(update.senderTimestampMs));
+  }
+}
+
+export function emitPollUpdate(session, pollId) {
+  const row = getPoll.get({ session_id: session.id, message_id: pollId });
+  if (!row) return;
+  const poll = loadPolls(session.id, [pollId]).get(pollId);
+  session.io.emit('whatsapp-poll-update', { id: pollId, jid: row.jid, poll });
+}
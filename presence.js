@@ -0,0 +1,89 @@
+// @path: presence.js
+import { logger } from './logger.js';
+import { getSessionSettings, setSessionOnline } from './database.js';
+
+export const CHAT_PRESENCE_STATES = ['composing', 'recording', 'paused'];
+
+// WhatsApp drops a typing indicator after a few seconds, so an unchanged state
+// is re-sent at most this often while the client keeps reporting it...
+const CHAT_PRESENCE_REFRESH_MS = 5000;
+// ...and cleared if the client stops reporting it.
+const CHAT_PRESENCE_TIMEOUT_MS = 15000;
+// Subscriptions lapse on WhatsApp's side, so opening a chat again later renews one.
+const SUBSCRIPTION_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Whether the account shows as online while the server is connected. Off by
+ * default: while it is on, the phone stops receiving notifications.
+ */
+export const isAlwaysOnline = sessionId => !!getSessionSettings.get({ session_id: sessionId })?.online;
+
+export async function setAlwaysOnline(session, online) {
+  setSessionOnline.run({ session_id: session.id, online: online ? 1 : 0, now: Date.now() });
+  if (session.sock && session.isAuthenticated) {
+    await session.sock.sendPresenceUpdate(online ? 'available' : 'unavailable');
+  }
+}
+
+/**
+ * Asks WhatsApp for `jid`'s presence updates, unless already subscribed
+ * recently. Returns false when the subscription was still fresh.
+ */
+export async function subscribePresence(session, jid) {
+  session.presenceSubscriptions ??= new Map();
+  const subscribedAt = session.presenceSubscriptions.get(jid);
+  if (subscribedAt && Date.now() - subscribedAt < SUBSCRIPTION_TTL_MS) return false;
+
+  session.presenceSubscriptions.set(jid, Date.now());
+  try {
+    await session.sock.presenceSubscribe(jid);
+    return true;
+  } catch (e) {
+    session.presenceSubscriptions.delete(jid);
+    throw e;
+  }
+}
+
+/**
+ * Sends the user's typing/recording state to a chat. Repeated reports of the
+ * same state are debounced, and a state the client stops reporting falls
+ * back to `paused`. Returns whether anything was sent.
+ */
+export async function sendChatPresence(session, jid, state) {
+  session.chatPresence ??= new Map();
+  const current = session.chatPresence.get(jid);
+  clearTimeout(current?.timer);
+
+  if (state === 'paused') {
+    session.chatPresence.delete(jid);
+    if (!current) return false;
+  } else {
+    const entry = { state, sentAt: current?.sentAt ?? 0 };
+    entry.timer = setTimeout(() => {
+      session.chatPresence.delete(jid);
+      session.sock?.sendPresenceUpdate('paused', jid).catch(e =>
+        logger.warn(`[${session.id}] Failed to clear presence in ${jid}: ${e.message}`)
+      );
+    }, CHAT_PRESENCE_TIMEOUT_MS);
+    entry.timer.unref?.();
+    session.chatPresence.set(jid, entry);
+
+    if (current?.state === state && Date.now() - current.sentAt < CHAT_PRESENCE_REFRESH_MS) return false;
+    entry.sentAt = Date.now();
+  }
+
+  await session.sock.sendPresenceUpdate(state, jid);
+  return true;
+}
+
+// Handler for Baileys' `presence.update` event.
+export function applyPresenceUpdate(session, { id, presences }) {
+  for (const [participant, presence] of Object.entries(presences || {})) {
+    session.io.emit('whatsapp-presence', {
+      jid: id,
+      participant,
+      presence: presence.lastKnownPresence,
+      lastSeen: presence.lastSeen ? presence.lastSeen * 1000 : null,
+    });
+  }
+}
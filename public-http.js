@@ -0,0 +1,103 @@
+// @path: public-http.js
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import dns from 'dns';
+
+// Requests to user-supplied URLs (media by URL, webhooks) must not reach this
+// host, its workers or anything else on a private network.
+export class BlockedUrlError extends Error {}
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([net4, prefix]) => blocked.addSubnet(net4, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([net6, prefix]) => blocked.addSubnet(net6, prefix, 'ipv6'));
+
+const MAPPED_IPV4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+export function isPrivateAddress(address) {
+  const mapped = address.match(MAPPED_IPV4);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+const hostOf = url => url.hostname.replace(/^\[|\]$/g, '');
+
+function parseUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch {
+    throw new BlockedUrlError('Invalid URL.');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new BlockedUrlError('Only http and https URLs are allowed.');
+  if (net.isIP(hostOf(url)) && isPrivateAddress(hostOf(url))) {
+    throw new BlockedUrlError('URLs pointing to private or local addresses are not allowed.');
+  }
+  return url;
+}
+
+// Used as the socket's DNS lookup, so the address checked is the one connected to.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new BlockedUrlError('URLs pointing to private or local addresses are not allowed.'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Resolves `url` and throws a `BlockedUrlError` unless every address it
+ * resolves to is public. For validating URLs before storing them; requests
+ * are checked again when they connect.
+ */
+export async function assertPublicUrl(url) {
+  const parsed = parseUrl(url);
+  if (net.isIP(hostOf(parsed))) return;
+  await new Promise((resolve, reject) =>
+    publicLookup(hostOf(parsed), {}, err => (err ? reject(err) : resolve()))
+  );
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Like `http.request`, for URLs that must resolve to public addresses.
+ * Resolves with the response. Redirects are followed up to `maxRedirects`
+ * times (only for GET), each hop checked again; `signal` covers the whole
+ * exchange including the body.
+ */
+export function requestPublicUrl(input, { method = 'GET', headers = {}, body = null, signal, maxRedirects = 0 } = {}) {
+  return new Promise((resolve, reject) => {
+    let url;
+    try {
+      url = parseUrl(input);
+    } catch (e) {
+      return reject(e);
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.request(url, { method, headers, signal, lookup: publicLookup, agent: false }, res => {
+      const location = res.headers.location;
+      if (!REDIRECT_STATUSES.includes(res.statusCode) || !location || method !== 'GET' || maxRedirects <= 0) {
+        return resolve(res);
+      }
+      res.resume();
+      requestPublicUrl(new URL(location, url).href, { method, headers, signal, maxRedirects: maxRedirects - 1 })
+        .then(resolve, reject);
+    });
+    req.on('error', reject);
+    if (body == null) req.end();
+    else req.end(body);
+  });
+}
@@ -0,0 +1,119 @@
+// @path: receipts.js
+import { jidNormalizedUser, proto } from '@whiskeysockets/baileys';
+import {
+  updateMessageStatus,
+  upsertMessageReceipt,
+  getMessageReceipt,
+  getMessageReceipts,
+  getPendingGroupRecipients,
+  countGroupReceipts,
+  runInTransaction,
+} from './database.js';
+
+const { Status } = proto.WebMessageInfo;
+
+// Statuses of our own messages. A message we see being sent has already
+// reached the server, so anything below SERVER_ACK counts as `sent`.
+const MESSAGE_STATUSES = {
+  [Status.SERVER_ACK]: 'sent',
+  [Status.DELIVERY_ACK]: 'delivered',
+  [Status.READ]: 'read',
+  [Status.PLAYED]: 'played',
+};
+
+export const outgoingStatus = status => MESSAGE_STATUSES[status] ?? 'sent';
+
+const isGroup = jid => jid.endsWith('@g.us');
+
+// Our own JIDs, so group tallies leave us out.
+const ownJids = session => ({
+  me_id: session.sock?.user?.id ? jidNormalizedUser(session.sock.user.id) : null,
+  me_lid: session.sock?.user?.lid ? jidNormalizedUser(session.sock.user.lid) : null,
+});
+
+function setStatus(session, jid, id, status) {
+  const { changes } = updateMessageStatus.run({ session_id: session.id, id, status });
+  if (changes) session.io.emit('whatsapp-message-status-update', { id, jid, status });
+}
+
+function recordReceipt(session, jid, messageId, recipient, { deliveredAt = null, readAt = null, playedAt = null }) {
+  const params = { session_id: session.id, message_id: messageId, recipient_jid: recipient };
+  // Reading implies delivery, and playing implies reading.
+  readAt ??= playedAt;
+  deliveredAt ??= readAt;
+  const { changes } = upsertMessageReceipt.run({ ...params, delivered_at: deliveredAt, read_at: readAt, played_at: playedAt });
+  if (!changes) return false;
+  session.io.emit('whatsapp-message-receipt', { id: messageId, jid, ...getMessageReceipt.get(params) });
+  return true;
+}
+
+/**
+ * Handler for status changes of our own messages in `messages.update`. In
+ * 1:1 chats the status is also the recipient's receipt.
+ */
+export function applyMessageStatus(session, key, status) {
+  const name = MESSAGE_STATUSES[status];
+  if (!name) return;
+  runInTransaction(() => {
+    if (status >= Status.DELIVERY_ACK && !isGroup(key.remoteJid)) {
+      const at = Date.now();
+      recordReceipt(session, key.remoteJid, key.id, jidNormalizedUser(key.remoteJid), {
+        deliveredAt: at,
+        readAt: status >= Status.READ ? at : null,
+        playedAt: status >= Status.PLAYED ? at : null,
+      });
+    }
+    setStatus(session, key.remoteJid, key.id, name);
+  });
+}
+
+/**
+ * Handler for `message-receipt.update` on our own group messages. Once every
+ * other member has received or read a message, its status follows.
+ */
+export function applyReceiptUpdates(session, updates) {
+  const changed = new Map();
+  runInTransaction(() => {
+    for (const { key, receipt } of updates) {
+      if (!key.fromMe || !receipt?.userJid) continue;
+      const toMs = seconds => (seconds ? Number(seconds) * 1000 : null);
+      const stored = recordReceipt(session, key.remoteJid, key.id, receipt.userJid, {
+        deliveredAt: toMs(receipt.receiptTimestamp),
+        readAt: toMs(receipt.readTimestamp),
+        playedAt: toMs(receipt.playedTimestamp),
+      });
+      if (stored && isGroup(key.remoteJid)) changed.set(key.id, key.remoteJid);
+    }
+
+    for (const [id, jid] of changed) {
+      const { recipients, delivered, read } = countGroupReceipts.get({
+        session_id: session.id, message_id: id, jid, ...ownJids(session),
+      });
+      if (!recipients) continue;
+      if (read === recipients) setStatus(session, jid, id, 'read');
+      else if (delivered === recipients) setStatus(session, jid, id, 'delivered');
+    }
+  });
+}
+
+/**
+ * Who has received, read and played one of our messages, and who has not
+ * received it yet. `message` is its `getMessageKeyDetails` row.
+ */
+export function loadMessageInfo(session, messageId, message) {
+  const params = { session_id: session.id, message_id: messageId };
+  const receipts = getMessageReceipts.all(params);
+  const pending = isGroup(message.jid)
+    ? getPendingGroupRecipients.all({ ...params, jid: message.jid, ...ownJids(session) })
+    : receipts.some(r => r.deliveredAt) ? [] : [{ jid: message.jid }];
+
+  return {
+    id: messageId,
+    jid: message.jid,
+    status: message.status,
+    timestamp: message.timestamp,
+    readBy: receipts.filter(r => r.readAt),
+    deliveredTo: receipts.filter(r => r.deliveredAt && !r.readAt),
+    pending,
+  };
+}
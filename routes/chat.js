@@ -1,20 +1,40 @@
 // @path: routes/chat.js
 import express from 'express';
-import auth from '../middleware/auth.js';
-import { normalizeJid } from '../whatsapp-service.js';
+import { body } from 'express-validator';
+import auth, { requireScope } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { hasScope } from '../api-keys.js';
+import { normalizeJid, parseDetails } from '../whatsapp-service.js';
+import { thumbnailUrlFor } from '../media-store.js';
+import { loadPolls } from '../polls.js';
+import {
+  MAX_PINNED_CHATS,
+  clearChat,
+  deleteChat,
+  markChatRead,
+  markChatUnread,
+  modifyChat,
+  toChat,
+} from '../chats.js';
+import { subscribePresence } from '../presence.js';
 import {
   getChats,
-  resetChatUnreadCount,
+  getChat,
+  countPinnedChats,
   getMessagesByJid,
+  getMessagesBeforeCursor,
+  getMessagesAfterCursor,
   getReactionsForMessages,
+  getChatHistoryExhausted,
 } from '../database.js';
 import { logger } from '../logger.js';
 
 const router = express.Router();
 
 router.get('/chats', auth, (req, res) => {
+  const archived = { true: 1, false: 0 }[req.query.archived] ?? null;
   try {
-    const chats = getChats.all({ session_id: req.session.id });
+    const chats = getChats.all({ session_id: req.session.id, archived }).map(toChat);
     res.json(chats);
   } catch (e) {
     logger.error(`[${req.session.id}] /chats failed`, e);
@@ -22,27 +42,159 @@ router.get('/chats', auth, (req, res) => {
   }
 });
 
-router.get('/history/:jid', auth, (req, res) => {
+const chatRead = (read) => async (req, res) => {
+  const jid = normalizeJid(decodeURIComponent(req.params.jid));
+  if (!jid) return res.status(400).json({ error: 'Invalid JID provided.' });
+
+  try {
+    const chat = await (read ? markChatRead : markChatUnread)(req.session, jid);
+    if (!chat) return res.status(404).json({ error: 'Chat not found.' });
+    res.json(chat);
+  } catch (e) {
+    logger.error(`[${req.session.id}] /chats/${jid}/${read ? 'read' : 'unread'} failed`, e);
+    res.status(500).json({ error: e.message });
+  }
+};
+
+// Shared with the `mark-read` socket command.
+export const markRead = chatRead(true);
+
+router.post('/chats/:jid/read', auth, requireScope('send'), markRead);
+router.post('/chats/:jid/unread', auth, requireScope('send'), chatRead(false));
+
+// Resolves `:jid` to a stored chat as `req.chatJid`.
+const storedChat = (req, res, next) => {
+  const jid = normalizeJid(decodeURIComponent(req.params.jid));
+  if (!jid) return res.status(400).json({ error: 'Invalid JID provided.' });
+  const chat = getChat.get({ session_id: req.session.id, jid });
+  if (!chat) return res.status(404).json({ error: 'Chat not found.' });
+  req.chatJid = jid;
+  req.chat = chat;
+  next();
+};
+
+router.patch('/chats/:jid',
+  auth,
+  requireScope('send'),
+  validate([
+    body('archived').optional().isBoolean({ strict: true }),
+    body('pinned').optional().isBoolean({ strict: true }),
+    body('mutedUntil').optional({ values: 'null' }).isInt().toInt()
+      .custom(value => value === -1 || value > Date.now())
+      .withMessage('mutedUntil must be a future timestamp in milliseconds, -1 or null.'),
+  ]),
+  storedChat,
+  async (req, res) => {
+    const { session, chatJid: jid, chat } = req;
+    const { archived, pinned, mutedUntil } = req.body;
+
+    if (pinned && chat.pinnedAt === null) {
+      const { count } = countPinnedChats.get({ session_id: session.id });
+      if (count >= MAX_PINNED_CHATS) {
+        return res.status(409).json({ error: `At most ${MAX_PINNED_CHATS} chats can be pinned.` });
+      }
+    }
+
+    try {
+      res.json(await modifyChat(session, jid, { archived, pinned, mutedUntil }));
+    } catch (e) {
+      logger.error(`[${session.id}] PATCH /chats/${jid} failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+router.post('/chats/:jid/clear', auth, requireScope('send'), storedChat, async (req, res) => {
+  try {
+    await clearChat(req.session, req.chatJid);
+    res.json({ success: true });
+  } catch (e) {
+    logger.error(`[${req.session.id}] /chats/${req.chatJid}/clear failed`, e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.delete('/chats/:jid', auth, requireScope('send'), storedChat, async (req, res) => {
+  try {
+    await deleteChat(req.session, req.chatJid);
+    res.json({ success: true });
+  } catch (e) {
+    logger.error(`[${req.session.id}] DELETE /chats/${req.chatJid} failed`, e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+const MAX_HISTORY_PAGE = 500;
+
+const encodeCursor = m => `${m.timestamp}:${m.id}`;
+
+function parseCursor(value) {
+  if (typeof value !== 'string') return null;
+  const sep = value.indexOf(':');
+  const timestamp = Number(value.slice(0, sep));
+  const message_id = value.slice(sep + 1);
+  return sep > 0 && Number.isSafeInteger(timestamp) && message_id ? { timestamp, message_id } : null;
+}
+
+// Shared with the `fetch-history` socket command.
+export async function fetchHistory(req, res) {
   const jid = normalizeJid(decodeURIComponent(req.params.jid));
   if (!jid) {
     return res.status(400).json({ error: 'Invalid JID provided.' });
   }
-  
+
+  const before = parseCursor(req.query.before);
+  const after = parseCursor(req.query.after);
+  if ((req.query.before && !before) || (req.query.after && !after) || (before && after)) {
+    return res.status(400).json({ error: 'Invalid cursor. Pass either `before` or `after`.' });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_HISTORY_PAGE);
+  const params = { session_id: req.session.id, jid, limit: limit + 1, ...(before || after) };
+  const fetchPage = () => (
+    after ? getMessagesAfterCursor : before ? getMessagesBeforeCursor : getMessagesByJid
+  ).all(params);
+
   try {
-    resetChatUnreadCount.run({ session_id: req.session.id, jid });
+    if (!before && !after) {
+      // Opening a chat reads it, here and on WhatsApp, unless the client opts
+      // out or its key may only read.
+      if (req.query.markRead !== 'false' && hasScope(req.apiKey, 'send')) {
+        markChatRead(req.session, jid).catch(e =>
+          logger.warn(`[${req.session.id}] Failed to mark ${jid} as read: ${e.message}`)
+        );
+      }
+      subscribePresence(req.session, jid).catch(e =>
+        logger.warn(`[${req.session.id}] Failed to subscribe to presence of ${jid}: ${e.message}`)
+      );
+    }
 
-    const messageRows = getMessagesByJid.all({
-      session_id: req.session.id,
-      jid,
-      limit: req.query.limit || 100
-    });
+    const useRemote = !after && req.query.remote !== 'false';
+    let messageRows = fetchPage();
+    let hasMore = messageRows.length > limit;
 
-    if (!messageRows.length) {
-        return res.json([]);
+    // Local history ran out while scrolling back: pull older messages from
+    // WhatsApp. The first page only advertises that more may exist remotely,
+    // unless WhatsApp already said there is nothing older, so opening a short
+    // chat never waits on the phone.
+    if (useRemote && !hasMore) {
+      if (before) {
+        const fetchedRemote = await req.session.fetchMoreMessages(jid);
+        if (fetchedRemote) messageRows = fetchPage();
+        hasMore = messageRows.length > limit || fetchedRemote > 0;
+      } else {
+        const chat = getChatHistoryExhausted.get({ session_id: req.session.id, jid });
+        hasMore = messageRows.length > 0 && !chat?.historyExhausted;
+      }
     }
 
+    messageRows = messageRows.slice(0, limit);
+    const nextCursor = hasMore && messageRows.length ? encodeCursor(messageRows[messageRows.length - 1]) : null;
+
     const messageIds = messageRows.map(m => m.id);
-    const reactionsData = getReactionsForMessages.all(JSON.stringify(messageIds));
+    const reactionsData = messageIds.length
+      ? getReactionsForMessages.all(JSON.stringify(messageIds))
+      : [];
 
     const reactionsMap = new Map();
     for (const reaction of reactionsData) {
@@ -54,17 +206,27 @@ router.get('/history/:jid', auth, (req, res) => {
         messageReactions[reaction.emoji] = emojiCount + 1;
     }
 
-    const messages = messageRows.map(m => ({
+    const polls = loadPolls(req.session.id, messageRows.filter(m => m.type === 'poll').map(m => m.id));
+
+    const messages = messageRows.map(({ details, ...m }) => ({
         ...m,
+        isDeleted: !!m.isDeleted,
+        editHistory: m.editHistory ? JSON.parse(m.editHistory) : [],
+        ...parseDetails(details),
+        thumbnail_url: thumbnailUrlFor(m.type, m.id),
         reactions: reactionsMap.get(m.id) || {},
-    })).reverse();
+        ...(polls.has(m.id) && { poll: polls.get(m.id) }),
+    }));
+    if (!after) messages.reverse();
 
-    res.json(messages);
+    res.json({ messages, hasMore, nextCursor });
   } catch (e) {
     logger.error(`[${req.session.id}] /history failed for jid ${jid}`, e);
     res.status(500).json({ error: 'Failed to fetch message history.' });
   }
-});
+}
+
+router.get('/history/:jid', auth, fetchHistory);
 
 router.post('/history/sync/:jid', auth, async (req, res) => {
   try {
@@ -0,0 +1,80 @@
+// @path: routes/contact.js
+import express from 'express';
+import { body, query, matchedData } from 'express-validator';
+import auth, { authSession } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { normalizeJid } from '../whatsapp-service.js';
+import { toContact } from '../contacts.js';
+import { getContact, searchContacts } from '../database.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+const escapeLike = value => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+router.get('/contacts',
+  authSession,
+  validate([
+    query('q').optional().isString().trim(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ]),
+  (req, res) => {
+    const { q, limit = 100, offset = 0 } = matchedData(req);
+    try {
+      const rows = searchContacts.all({
+        session_id: req.session.id,
+        pattern: q ? `%${escapeLike(q)}%` : null,
+        limit: limit + 1,
+        offset,
+      });
+      const hasMore = rows.length > limit;
+      res.json({
+        contacts: rows.slice(0, limit).map(toContact),
+        hasMore,
+        nextOffset: hasMore ? offset + limit : null,
+      });
+    } catch (e) {
+      logger.error(`[${req.session.id}] /contacts failed`, e);
+      res.status(500).json({ error: 'Failed to fetch contacts.' });
+    }
+  }
+);
+
+router.post('/contacts/check',
+  auth,
+  validate([
+    body('phoneNumbers').isArray({ min: 1, max: 50 }),
+    body('phoneNumbers.*').isString().customSanitizer(value => value.replace(/[\s()+-]/g, '')).matches(/^\d{6,15}$/),
+  ]),
+  async (req, res) => {
+    const phoneNumbers = [...new Set(req.body.phoneNumbers)];
+    try {
+      const found = await req.session.sock.onWhatsApp(...phoneNumbers) || [];
+      const byNumber = new Map(found.map(result => [result.jid.split('@')[0], result]));
+      res.json(phoneNumbers.map(phoneNumber => {
+        const result = byNumber.get(phoneNumber);
+        return {
+          phoneNumber,
+          exists: !!result?.exists,
+          jid: result?.jid ?? null,
+          lid: result?.lid ?? null,
+        };
+      }));
+    } catch (e) {
+      logger.error(`[${req.session.id}] /contacts/check failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+router.get('/contacts/:jid', authSession, (req, res) => {
+  const jid = req.params.jid.includes('@') ? normalizeJid(req.params.jid) : normalizeJid(`${req.params.jid}@s.whatsapp.net`);
+  if (!jid) return res.status(400).json({ error: 'Invalid JID' });
+
+  const contact = getContact.get({ session_id: req.session.id, jid });
+  if (!contact) return res.status(404).json({ error: 'Contact not found.' });
+  res.json(toContact(contact));
+});
+
+export default router;
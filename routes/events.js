@@ -0,0 +1,35 @@
+// @path: routes/events.js
+import express from 'express';
+import { query, matchedData } from 'express-validator';
+import { authSession } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { loadEventsSince } from '../event-log.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+router.get('/events',
+  authSession,
+  validate([
+    query('since').optional().isInt({ min: 0 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  ]),
+  (req, res) => {
+    const { since = 0, limit = 100 } = matchedData(req);
+    try {
+      const { events, hasMore, latestSeq, gap } = loadEventsSince(req.session.id, since, limit);
+      res.json({
+        events,
+        hasMore,
+        nextSince: events.length ? events[events.length - 1].seq : since,
+        latestSeq,
+        gap,
+      });
+    } catch (e) {
+      logger.error(`[${req.session.id}] /events failed`, e);
+      res.status(500).json({ error: 'Failed to fetch events.' });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,185 @@
+// @path: routes/group.js
+import express from 'express';
+import { body, param } from 'express-validator';
+import auth, { authSession, requireScope } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { normalizeJid } from '../whatsapp-service.js';
+import {
+  inviteUrlFor,
+  loadGroup,
+  refreshGroup,
+  saveGroupMetadata,
+  toGroup,
+} from '../groups.js';
+import { getGroups } from '../database.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+const normalizeGroupJid = input => {
+  const jid = normalizeJid(input.includes('@') ? input : `${input}@g.us`);
+  return jid?.endsWith('@g.us') ? jid : null;
+};
+
+const normalizeParticipants = participants => {
+  const jids = participants.map(normalizeJid);
+  return jids.every(Boolean) ? [...new Set(jids)] : null;
+};
+
+// Accepts a bare invite code or a full chat.whatsapp.com link.
+const parseInviteCode = input => input.trim().split('/').pop();
+
+const groupJid = (req, res, next) => {
+  req.groupJid = normalizeGroupJid(req.params.jid);
+  if (!req.groupJid) return res.status(400).json({ error: 'Invalid group JID' });
+  next();
+};
+
+const participantsValidator = () => [
+  body('participants').isArray({ min: 1 }),
+  body('participants.*').isString().notEmpty(),
+];
+
+router.get('/groups', authSession, (req, res) => {
+  try {
+    res.json(getGroups.all({ session_id: req.session.id }).map(row => toGroup(row)));
+  } catch (e) {
+    logger.error(`[${req.session.id}] /groups failed`, e);
+    res.status(500).json({ error: 'Failed to fetch groups.' });
+  }
+});
+
+router.post('/groups',
+  auth,
+  requireScope('send'),
+  validate([
+    body('subject').isString().trim().notEmpty().isLength({ max: 100 }),
+    ...participantsValidator(),
+  ]),
+  async (req, res) => {
+    const participants = normalizeParticipants(req.body.participants);
+    if (!participants) return res.status(400).json({ error: 'Invalid participant JID' });
+
+    try {
+      const metadata = await req.session.sock.groupCreate(req.body.subject, participants);
+      res.status(201).json(saveGroupMetadata(req.session, metadata));
+    } catch (e) {
+      logger.error(`[${req.session.id}] POST /groups failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+router.post('/groups/invite/accept',
+  auth,
+  requireScope('send'),
+  validate([body('code').isString().notEmpty()]),
+  async (req, res) => {
+    try {
+      const jid = await req.session.sock.groupAcceptInvite(parseInviteCode(req.body.code));
+      if (!jid) return res.status(400).json({ error: 'Invite could not be accepted.' });
+      res.json({ jid, group: await refreshGroup(req.session, jid).catch(() => null) });
+    } catch (e) {
+      logger.error(`[${req.session.id}] /groups/invite/accept failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+router.get('/groups/:jid', authSession, groupJid, async (req, res) => {
+  const { session, groupJid: jid } = req;
+  try {
+    const stored = loadGroup(session.id, jid);
+    if (stored && req.query.refresh !== 'true') return res.json(stored);
+    if (!session.isAuthenticated) {
+      return stored ? res.json(stored) : res.status(404).json({ error: 'Group not found.' });
+    }
+    res.json(await refreshGroup(session, jid));
+  } catch (e) {
+    logger.error(`[${session.id}] /groups/${jid} failed`, e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.patch('/groups/:jid',
+  auth,
+  requireScope('send'),
+  groupJid,
+  validate([
+    body('subject').optional().isString().trim().notEmpty().isLength({ max: 100 }),
+    body('description').optional({ values: 'null' }).isString().isLength({ max: 2048 }),
+    body('announce').optional().isBoolean({ strict: true }),
+    body('restrict').optional().isBoolean({ strict: true }),
+    body('memberAddMode').optional().isBoolean({ strict: true }),
+    body('joinApprovalMode').optional().isBoolean({ strict: true }),
+    body('ephemeralDuration').optional().isInt({ min: 0 }).toInt(),
+  ]),
+  async (req, res) => {
+    const { session, groupJid: jid } = req;
+    const { subject, description, announce, restrict, memberAddMode, joinApprovalMode, ephemeralDuration } = req.body;
+    const { sock } = session;
+
+    try {
+      if (subject !== undefined) await sock.groupUpdateSubject(jid, subject);
+      if (description !== undefined) await sock.groupUpdateDescription(jid, description || undefined);
+      if (announce !== undefined) await sock.groupSettingUpdate(jid, announce ? 'announcement' : 'not_announcement');
+      if (restrict !== undefined) await sock.groupSettingUpdate(jid, restrict ? 'locked' : 'unlocked');
+      if (memberAddMode !== undefined) await sock.groupMemberAddMode(jid, memberAddMode ? 'all_member_add' : 'admin_add');
+      if (joinApprovalMode !== undefined) await sock.groupJoinApprovalMode(jid, joinApprovalMode ? 'on' : 'off');
+      if (ephemeralDuration !== undefined) await sock.groupToggleEphemeral(jid, ephemeralDuration);
+
+      res.json(await refreshGroup(session, jid));
+    } catch (e) {
+      logger.error(`[${session.id}] PATCH /groups/${jid} failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+router.post('/groups/:jid/participants/:action',
+  auth,
+  requireScope('send'),
+  groupJid,
+  validate([
+    param('action').isIn(PARTICIPANT_ACTIONS),
+    ...participantsValidator(),
+  ]),
+  async (req, res) => {
+    const { session, groupJid: jid } = req;
+    const participants = normalizeParticipants(req.body.participants);
+    if (!participants) return res.status(400).json({ error: 'Invalid participant JID' });
+
+    try {
+      const results = await session.sock.groupParticipantsUpdate(jid, participants, req.params.action);
+      // The matching `group-participants.update` event keeps the stored list current.
+      res.json({ results: results.map(({ jid: participant, status }) => ({ jid: participant, status: Number(status) })) });
+    } catch (e) {
+      logger.error(`[${session.id}] /groups/${jid}/participants/${req.params.action} failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+router.get('/groups/:jid/invite', auth, requireScope('send'), groupJid, async (req, res) => {
+  try {
+    const code = await req.session.sock.groupInviteCode(req.groupJid);
+    res.json({ code, url: inviteUrlFor(code) });
+  } catch (e) {
+    logger.error(`[${req.session.id}] /groups/${req.groupJid}/invite failed`, e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/groups/:jid/invite/revoke', auth, requireScope('send'), groupJid, async (req, res) => {
+  try {
+    const code = await req.session.sock.groupRevokeInvite(req.groupJid);
+    res.json({ code, url: inviteUrlFor(code) });
+  } catch (e) {
+    logger.error(`[${req.session.id}] /groups/${req.groupJid}/invite/revoke failed`, e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,101 @@
+// @path: routes/keys.js
+import express from 'express';
+import { body } from 'express-validator';
+import { adminAuth } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import {
+  API_KEY_SCOPES,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  toApiKey,
+} from '../api-keys.js';
+import { getApiKey, getApiKeys, updateApiKey, setApiKeySessions } from '../database.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+router.get('/keys', adminAuth, (req, res) => {
+  res.json(getApiKeys.all().map(toApiKey));
+});
+
+router.post('/keys',
+  adminAuth,
+  validate([
+    body('name').optional().isString().trim().isLength({ max: 100 }),
+    body('scopes').isArray({ min: 1 }),
+    body('scopes.*').isIn(API_KEY_SCOPES),
+    body('sessions').optional().isArray(),
+    body('sessions.*').isString().notEmpty(),
+    body('expiresAt').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  ]),
+  (req, res) => {
+    const { name = null, scopes, sessions = [], expiresAt = null } = req.body;
+    if (!scopes.includes('admin') && !sessions.length) {
+      return res.status(400).json({ error: 'Non-admin keys must be bound to at least one session.' });
+    }
+    try {
+      // The plaintext key is only ever returned here and on rotation. An
+      // admin key created without sessions is a global admin key.
+      const global = scopes.includes('admin') && !sessions.length;
+      res.status(201).json(createApiKey({ name, scopes, sessions, global, expiresAt }));
+    } catch (e) {
+      logger.error('POST /keys failed', e);
+      res.status(500).json({ error: 'Failed to create API key.' });
+    }
+  }
+);
+
+router.patch('/keys/:id',
+  adminAuth,
+  validate([
+    body('name').optional().isString().trim().isLength({ max: 100 }),
+    body('sessions').optional().isArray(),
+    body('sessions.*').isString().notEmpty(),
+    body('expiresAt').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+  ]),
+  (req, res) => {
+    const { id } = req.params;
+    const { name, sessions, expiresAt } = req.body;
+
+    const current = toApiKey(getApiKey.get({ id }));
+    if (sessions && current?.global) {
+      return res.status(400).json({ error: 'Global admin keys are not bound to sessions.' });
+    }
+    if (sessions && !sessions.length) {
+      return res.status(400).json({ error: 'Keys must stay bound to at least one session; revoke the key instead.' });
+    }
+
+    const { changes } = updateApiKey.run({
+      id,
+      name: name ?? null,
+      expires_at: expiresAt ?? null,
+      clear_expiry: expiresAt === null ? 1 : 0,
+    });
+    if (!changes) return res.status(404).json({ error: 'API key not found or revoked.' });
+
+    if (sessions) setApiKeySessions(id, [...new Set(sessions)]);
+    res.json(toApiKey(getApiKey.get({ id })));
+  }
+);
+
+router.post('/keys/:id/rotate',
+  adminAuth,
+  validate([
+    body('graceSeconds').optional().isInt({ min: 0, max: 7 * 24 * 60 * 60 }).toInt(),
+  ]),
+  (req, res) => {
+    const replacement = rotateApiKey(req.params.id, { graceSeconds: req.body?.graceSeconds });
+    if (!replacement) return res.status(404).json({ error: 'API key not found or revoked.' });
+    res.json(replacement);
+  }
+);
+
+router.delete('/keys/:id', adminAuth, (req, res) => {
+  if (!revokeApiKey(req.params.id)) {
+    return res.status(404).json({ error: 'API key not found or already revoked.' });
+  }
+  res.json({ success: true });
+});
+
+export default router;
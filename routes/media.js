@@ -5,21 +5,42 @@ import multer from 'multer';
 import crypto from 'crypto';
 import sanitize from 'sanitize-filename';
 import { body } from 'express-validator';
-import { downloadMediaMessage } from '@whiskeysockets/baileys';
-import { messageStore } from '../whatsapp-service.js';
+import { loadStoredMessage } from '../whatsapp-service.js';
+import {
+  MEDIA_TYPES,
+  deleteUnusedMedia,
+  ensureMedia,
+  extractThumbnail,
+  getMediaPath,
+  hasMedia,
+  parseMediaPolicy,
+  storeMediaBuffer,
+  storeMediaFromUrl,
+} from '../media-store.js';
+import { enqueueOutbound, respondWithOutboxItem } from '../outbox.js';
+import { BlockedUrlError, assertPublicUrl } from '../public-http.js';
+import { scheduleOutbound } from '../scheduler.js';
 
-import auth from '../middleware/auth.js';
-import validate from '../middleware/validator.js';
+import auth, { authSession, requireScope } from '../middleware/auth.js';
+import validate, { sendAtValidator } from '../middleware/validator.js';
 import { normalizeJid } from '../whatsapp-service.js';
-import { findMessageBySha256, getMessageById } from '../database.js';
+import {
+  getMessageKeyDetails,
+  getMediaDetails,
+  getMediaPolicy,
+  upsertMediaPolicy,
+} from '../database.js';
+import { mediaDownloadSeconds, mediaDownloadFailures } from '../metrics.js';
 import { logger } from '../logger.js';
 
 const router = express.Router();
 const httpsAgent = new https.Agent({ keepAlive: true });
 
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+
 const upload = multer({
   storage: multer.memoryStorage(),
-  limits: { fileSize: 100 * 1024 * 1024 },
+  limits: { fileSize: MAX_UPLOAD_BYTES },
 });
 
 const sendPlaceholder = (res) => {
@@ -28,10 +49,6 @@ const sendPlaceholder = (res) => {
   res.end(img);
 };
 
-const getType = (m) => [
-  'sticker', 'image', 'video', 'audio', 'document', 'conversation'
-].find(type => m?.[`${type}Message`]);
-
 router.get('/avatar/:jid', auth, async (req, res) => {
   try {
     const url = await req.session.sock.profilePictureUrl(req.params.jid, 'preview');
@@ -48,85 +65,190 @@ router.get('/avatar/:jid', auth, async (req, res) => {
   }
 });
 
+router.get('/media/policy', auth, (req, res) => {
+  res.json(parseMediaPolicy(getMediaPolicy.get({ session_id: req.session.id })));
+});
+
+router.put('/media/policy',
+  auth,
+  requireScope('admin'),
+  validate([
+    body('types').isArray(),
+    body('types.*').isIn(MEDIA_TYPES),
+    body('maxBytes').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('includeHistory').optional().isBoolean().toBoolean(),
+  ]),
+  (req, res) => {
+    const { types, maxBytes = null, includeHistory = false } = req.body;
+    upsertMediaPolicy.run({
+      session_id: req.session.id,
+      types: JSON.stringify([...new Set(types)]),
+      max_bytes: maxBytes,
+      include_history: includeHistory ? 1 : 0,
+    });
+    res.json(parseMediaPolicy(getMediaPolicy.get({ session_id: req.session.id })));
+  }
+);
+
+router.get('/media/:messageId/thumbnail', auth, (req, res) => {
+  const { session, params: { messageId } } = req;
+  try {
+    const message = loadStoredMessage(session.id, messageId);
+    const thumbnail = message && extractThumbnail(message);
+    if (!thumbnail) return sendPlaceholder(res);
+
+    const etag = `"${crypto.createHash('sha1').update(thumbnail.buffer).digest('hex')}"`;
+    res.set({ ETag: etag, 'Cache-Control': 'private, max-age=86400' });
+    if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+    res.type(thumbnail.mimetype).send(thumbnail.buffer);
+  } catch (e) {
+    logger.error(`[${session.id}] /media/${messageId}/thumbnail failed`, e);
+    sendPlaceholder(res);
+  }
+});
+
 router.get('/media/:messageId', auth, async (req, res) => {
+  const { session, params: { messageId } } = req;
   try {
-    const { session, params: { messageId } } = req;
-    let message = messageStore.get(messageId);
-
-    if (!message) {
-      const dbResult = getMessageById.get({ message_id: messageId, session_id: session.id });
-      if (dbResult && dbResult.raw_message_data) {
-        message = JSON.parse(dbResult.raw_message_data);
-        messageStore.set(messageId, message);
+    const details = getMediaDetails.get({ message_id: messageId, session_id: session.id });
+    let sha256 = details?.media_sha256;
+
+    if (!(await hasMedia(sha256))) {
+      const message = loadStoredMessage(session.id, messageId);
+      if (!message) {
+        logger.warn(`[${session.id}] Media download request for unknown messageId: ${messageId}`);
+        return res.status(404).json({ success: false, error: 'Media not found.' });
       }
-    }
 
-    if (!message) {
-      logger.warn(`[${session.id}] Media download request for unknown messageId: ${messageId}`);
-      return res.status(404).json({ success: false, error: 'Media not found.' });
+      logger.info(`[${session.id}] Media for message ${messageId} not stored yet, downloading...`);
+      const stopTimer = mediaDownloadSeconds.startTimer({ session: session.id });
+      try {
+        sha256 = await ensureMedia(session, message, sha256);
+      } catch (e) {
+        mediaDownloadFailures.inc({ session: session.id });
+        throw e;
+      }
+      stopTimer();
     }
 
-    logger.info(`[${session.id}] Preparing to download media for message: ${messageId}`);
-
-    const buffer = await downloadMediaMessage(message, 'buffer', {}, {
-      logger,
-
+    res.type(details?.mimetype || 'application/octet-stream');
+    res.sendFile(getMediaPath(sha256), {
+      headers: {
+        ETag: `"${sha256}"`,
+        'Cache-Control': 'private, max-age=31536000, immutable',
+      },
+    }, err => {
+      if (err && !res.headersSent) {
+        logger.error(`[${session.id}] /media/${messageId} failed to stream file`, err);
+        res.status(500).json({ success: false, error: 'Failed to read stored media.' });
+      }
     });
-
-    logger.info(`[${session.id}] Download complete for message: ${messageId}. Size: ${buffer.length}`);
-    
-    const type = getType(message.message);
-    const content = message.message[`${type}Message`] || message.message;
-    
-    res.set('Content-Type', content.mimetype || 'application/octet-stream');
-    res.send(buffer);
   } catch (e) {
-    logger.error({ err: e }, `[${session.id}] /media/${req.params.messageId} download failed`);
+    logger.error({ err: e }, `[${session.id}] /media/${messageId} download failed`);
     res.status(500).json({ success: false, error: 'Failed to retrieve media from provider.' });
   }
 });
 
+const SEND_MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+const PTT_MIMETYPE = 'audio/ogg; codecs=opus';
+
+// Stickers are only sent when `type: 'sticker'` asks for one; a WebP photo is an image.
+const mediaTypeFor = mimetype =>
+  mimetype.startsWith('image/') ? 'image' :
+  mimetype.startsWith('video/') ? 'video' :
+  mimetype.startsWith('audio/') ? 'audio' : 'document';
+
+const fileNameFromUrl = url => {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()) || null;
+  } catch {
+    return null;
+  }
+};
+
 router.post('/send/media',
-  auth,
+  authSession,
+  requireScope('send'),
   upload.single('file'),
   validate([
     body('jid').isString().notEmpty(),
     body('tempId').isString().notEmpty(),
+    body('url').optional().isURL({ protocols: ['http', 'https'], require_protocol: true }).bail().custom(assertPublicUrl),
+    body('type').optional().isIn(SEND_MEDIA_TYPES),
+    body('mimetype').optional().isMimeType(),
+    body('fileName').optional().isString().notEmpty(),
+    body('ptt').optional().isBoolean().toBoolean(),
+    body('quotedMessageId').optional().isString().notEmpty(),
+    sendAtValidator().optional(),
   ]),
   async (req, res) => {
-    if (!req.file) {
-      return res.status(400).json({ error: 'File is required' });
-    }
-    
     const { session, file } = req;
-    const { jid, caption, tempId } = req.body;
-    
+    const { jid, caption, tempId, url, ptt, quotedMessageId, sendAt } = req.body;
+
+    if (!file === !url) {
+      return res.status(400).json({ error: 'Either a file or a url is required' });
+    }
+
     const fullJid = normalizeJid(jid);
     if (!fullJid) return res.status(400).json({ error: "Invalid JID" });
+    if (quotedMessageId && !getMessageKeyDetails.get({ message_id: quotedMessageId, session_id: session.id })) {
+      return res.status(400).json({ error: 'Quoted message not found.' });
+    }
 
+    let sha256;
     try {
-      const sha256 = crypto.createHash('sha256').update(file.buffer).digest('hex');
-      const existingMedia = findMessageBySha256.get({ media_sha256: sha256 });
+      let mimetype, fileName;
+      if (file) {
+        sha256 = await storeMediaBuffer(file.buffer);
+        mimetype = req.body.mimetype || file.mimetype;
+        fileName = file.originalname;
+      } else {
+        const fetched = await storeMediaFromUrl(url, MAX_UPLOAD_BYTES);
+        sha256 = fetched.sha256;
+        mimetype = req.body.mimetype || fetched.mimetype || 'application/octet-stream';
+        fileName = req.body.fileName || fileNameFromUrl(url);
+      }
 
-      if (existingMedia) {
-        logger.info(`[${session.id}] Found existing media for JID ${jid} with SHA256 hash. Skipping re-upload to WhatsApp is not yet supported by Baileys, but logging for now.`);
+      const type = req.body.type || (ptt ? 'audio' : mediaTypeFor(mimetype));
+      if (ptt && type !== 'audio') {
+        return res.status(400).json({ error: 'Only audio can be sent as a voice note.' });
+      }
+      if (ptt && !/ogg|opus/.test(mimetype)) {
+        return res.status(400).json({ error: 'Voice notes must be Opus audio (audio/ogg).' });
       }
+      if (type === 'sticker' && mimetype !== 'image/webp') {
+        return res.status(400).json({ error: 'Stickers must be WebP images.' });
+      }
+
+      const payload = {
+        mediaType: type,
+        sha256,
+        mimetype: ptt ? PTT_MIMETYPE : mimetype,
+      };
+      if (type === 'image' || type === 'video') payload.caption = caption;
+      if (type === 'document') payload.fileName = sanitize(req.body.fileName || fileName || 'file');
+      if (ptt) payload.ptt = true;
+      if (quotedMessageId) payload.quotedMessageId = quotedMessageId;
 
-      const type = file.mimetype.startsWith('image/') ? 'image' :
-                   file.mimetype.startsWith('video/') ? 'video' : 'document';
-      
-      let content = { [type]: file.buffer, mimetype: file.mimetype };
-      if (type === 'image' || type === 'video') content.caption = caption;
-      if (type === 'document') content.fileName = sanitize(file.originalname);
-
-      const sent = await session.messageQueue.add(
-        () => session.sock.sendMessage(fullJid, content)
-      );
-      
-      res.json({ success: true, messageId: sent.key.id, tempId });
+      if (sendAt) {
+        const scheduled = scheduleOutbound(session, { tempId, jid: fullJid, kind: 'media', payload, sendAt });
+        if (!scheduled) return res.status(409).json({ error: 'tempId is already in use.', tempId });
+        return res.status(201).json(scheduled);
+      }
+
+      const item = await enqueueOutbound(session, { tempId, jid: fullJid, kind: 'media', payload });
+      respondWithOutboxItem(res, item, tempId);
     } catch (e) {
+      if (e instanceof BlockedUrlError) return res.status(400).json({ error: e.message, tempId });
       logger.error(`[${session.id}] /send/media failed`, e);
       res.status(500).json({ error: e.message, tempId: req.body.tempId });
+    } finally {
+      // The file is stored before it can be checked; unless an outbox item or
+      // scheduled message now uses it, it is dropped again.
+      if (sha256) {
+        deleteUnusedMedia(sha256).catch(e => logger.warn(`[${session.id}] Failed to drop unused media ${sha256}: ${e.message}`));
+      }
     }
   }
 );
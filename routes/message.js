@@ -1,41 +1,380 @@
 // @path: routes/message.js
 import express from 'express';
-import { body } from 'express-validator';
-import auth from '../middleware/auth.js';
-import validate from '../middleware/validator.js';
-import { normalizeJid } from '../whatsapp-service.js';
-import { getMessageKeyDetails } from '../database.js';
+import crypto from 'crypto';
+import { body, query, matchedData } from 'express-validator';
+import auth, { authSession, requireScope } from '../middleware/auth.js';
+import validate, { sendAtValidator } from '../middleware/validator.js';
+import {
+  normalizeJid,
+  applyMessageEdit,
+  applyMessageRevoke,
+  applyMessageDeleteForMe,
+} from '../whatsapp-service.js';
+import { enqueueOutbound, respondWithOutboxItem, toOutboxItem } from '../outbox.js';
+import { scheduleOutbound } from '../scheduler.js';
+import { buildVcard } from '../vcard.js';
+import { loadMessageInfo } from '../receipts.js';
+import { getMessageKeyDetails, getOutboxItems } from '../database.js';
 import { logger } from '../logger.js';
 
 const router = express.Router();
 
-router.post('/send',
-  auth,
+// Shared with the `send-message` socket command.
+export const sendText = [
   validate([
     body('jid').isString().notEmpty(),
     body('text').isString().notEmpty(),
     body('tempId').isString().notEmpty(),
+    body('quotedMessageId').optional().isString().notEmpty(),
+    body('mentions').optional().isArray({ max: 1024 }),
+    body('mentions.*').isString().notEmpty(),
+    sendAtValidator().optional(),
   ]),
   async (req, res) => {
     try {
-      const { jid, text, tempId } = req.body;
+      const { jid, text, tempId, quotedMessageId, mentions, sendAt } = req.body;
       const fullJid = normalizeJid(jid);
       if (!fullJid) return res.status(400).json({ error: "Invalid JID" });
 
-      const msg = await req.session.messageQueue.add(
-        () => req.session.sock.sendMessage(fullJid, { text })
-      );
-      
-      res.json({ success: true, messageId: msg.key.id, tempId, timestamp: Date.now() });
+      const payload = { text };
+      if (quotedMessageId) {
+        if (!getMessageKeyDetails.get({ message_id: quotedMessageId, session_id: req.session.id })) {
+          return res.status(400).json({ error: 'Quoted message not found.' });
+        }
+        payload.quotedMessageId = quotedMessageId;
+      }
+      if (mentions?.length) {
+        payload.mentions = mentions.map(normalizeJid);
+        if (!payload.mentions.every(Boolean)) return res.status(400).json({ error: 'Invalid mention JID' });
+      }
+
+      if (sendAt) {
+        const scheduled = scheduleOutbound(req.session, { tempId, jid: fullJid, kind: 'text', payload, sendAt });
+        if (!scheduled) return res.status(409).json({ error: 'tempId is already in use.', tempId });
+        return res.status(201).json(scheduled);
+      }
+
+      const item = await enqueueOutbound(req.session, { tempId, jid: fullJid, kind: 'text', payload });
+      respondWithOutboxItem(res, item, tempId);
     } catch (e) {
       logger.error(`[${req.session.id}] /send failed`, e);
       res.status(500).json({ error: e.message, tempId: req.body.tempId });
     }
+  },
+];
+
+router.post('/send', authSession, requireScope('send'), sendText);
+
+router.post('/send/poll',
+  authSession,
+  requireScope('send'),
+  validate([
+    body('jid').isString().notEmpty(),
+    body('tempId').isString().notEmpty(),
+    body('question').isString().trim().notEmpty().isLength({ max: 255 }),
+    body('options').isArray({ min: 2, max: 12 }),
+    body('options.*').isString().trim().notEmpty().isLength({ max: 100 }),
+    body('selectableCount').optional().isInt({ min: 0 }).toInt(),
+    sendAtValidator().optional(),
+  ]),
+  async (req, res) => {
+    try {
+      const { jid, tempId, question, options, selectableCount = 1, sendAt } = req.body;
+      const fullJid = normalizeJid(jid);
+      if (!fullJid) return res.status(400).json({ error: "Invalid JID" });
+      if (new Set(options).size !== options.length) {
+        return res.status(400).json({ error: 'Poll options must be unique.' });
+      }
+      if (selectableCount > options.length) {
+        return res.status(400).json({ error: 'selectableCount cannot exceed the number of options.' });
+      }
+
+      // `selectableCount` 0 lets voters pick any number of options.
+      const payload = { question, options, selectableCount };
+      if (sendAt) {
+        const scheduled = scheduleOutbound(req.session, { tempId, jid: fullJid, kind: 'poll', payload, sendAt });
+        if (!scheduled) return res.status(409).json({ error: 'tempId is already in use.', tempId });
+        return res.status(201).json(scheduled);
+      }
+
+      const item = await enqueueOutbound(req.session, { tempId, jid: fullJid, kind: 'poll', payload });
+      respondWithOutboxItem(res, item, tempId);
+    } catch (e) {
+      logger.error(`[${req.session.id}] /send/poll failed`, e);
+      res.status(500).json({ error: e.message, tempId: req.body.tempId });
+    }
+  }
+);
+
+router.post('/send/location',
+  authSession,
+  requireScope('send'),
+  validate([
+    body('jid').isString().notEmpty(),
+    body('tempId').isString().notEmpty(),
+    body('latitude').isFloat({ min: -90, max: 90 }).toFloat(),
+    body('longitude').isFloat({ min: -180, max: 180 }).toFloat(),
+    body('name').optional().isString().trim().isLength({ max: 256 }),
+    body('address').optional().isString().trim().isLength({ max: 512 }),
+    body('quotedMessageId').optional().isString().notEmpty(),
+    sendAtValidator().optional(),
+  ]),
+  async (req, res) => {
+    try {
+      const { jid, tempId, latitude, longitude, name, address, quotedMessageId, sendAt } = req.body;
+      const fullJid = normalizeJid(jid);
+      if (!fullJid) return res.status(400).json({ error: "Invalid JID" });
+
+      const payload = { latitude, longitude };
+      if (name) payload.name = name;
+      if (address) payload.address = address;
+      if (quotedMessageId) {
+        if (!getMessageKeyDetails.get({ message_id: quotedMessageId, session_id: req.session.id })) {
+          return res.status(400).json({ error: 'Quoted message not found.' });
+        }
+        payload.quotedMessageId = quotedMessageId;
+      }
+
+      if (sendAt) {
+        const scheduled = scheduleOutbound(req.session, { tempId, jid: fullJid, kind: 'location', payload, sendAt });
+        if (!scheduled) return res.status(409).json({ error: 'tempId is already in use.', tempId });
+        return res.status(201).json(scheduled);
+      }
+
+      const item = await enqueueOutbound(req.session, { tempId, jid: fullJid, kind: 'location', payload });
+      respondWithOutboxItem(res, item, tempId);
+    } catch (e) {
+      logger.error(`[${req.session.id}] /send/location failed`, e);
+      res.status(500).json({ error: e.message, tempId: req.body.tempId });
+    }
   }
 );
 
-router.post('/send/reaction',
+router.post('/send/contact',
+  authSession,
+  requireScope('send'),
+  validate([
+    body('jid').isString().notEmpty(),
+    body('tempId').isString().notEmpty(),
+    body('contacts').isArray({ min: 1, max: 50 }),
+    body('contacts.*.name').isString().trim().notEmpty().isLength({ max: 256 }),
+    body('contacts.*.phones').optional().isArray({ max: 10 }),
+    body('contacts.*.phones.*').isString().matches(/^\+?[\d\s()-]{6,20}$/),
+    body('contacts.*.emails').optional().isArray({ max: 10 }),
+    body('contacts.*.emails.*').isEmail(),
+    body('contacts.*.organization').optional().isString().trim().isLength({ max: 256 }),
+    body('contacts.*.vcard').optional().isString().matches(/^BEGIN:VCARD/i),
+    body('displayName').optional().isString().trim().notEmpty(),
+    body('quotedMessageId').optional().isString().notEmpty(),
+    sendAtValidator().optional(),
+  ]),
+  async (req, res) => {
+    try {
+      const { jid, tempId, contacts, quotedMessageId, sendAt } = req.body;
+      const fullJid = normalizeJid(jid);
+      if (!fullJid) return res.status(400).json({ error: "Invalid JID" });
+
+      // A raw `vcard` is sent as is; otherwise one is built from the fields.
+      const payload = {
+        displayName: req.body.displayName || (contacts.length === 1 ? contacts[0].name : `${contacts.length} contacts`),
+        contacts: contacts.map(contact => ({
+          displayName: contact.name,
+          vcard: contact.vcard || buildVcard(contact),
+        })),
+      };
+      if (quotedMessageId) {
+        if (!getMessageKeyDetails.get({ message_id: quotedMessageId, session_id: req.session.id })) {
+          return res.status(400).json({ error: 'Quoted message not found.' });
+        }
+        payload.quotedMessageId = quotedMessageId;
+      }
+
+      if (sendAt) {
+        const scheduled = scheduleOutbound(req.session, { tempId, jid: fullJid, kind: 'contacts', payload, sendAt });
+        if (!scheduled) return res.status(409).json({ error: 'tempId is already in use.', tempId });
+        return res.status(201).json(scheduled);
+      }
+
+      const item = await enqueueOutbound(req.session, { tempId, jid: fullJid, kind: 'contacts', payload });
+      respondWithOutboxItem(res, item, tempId);
+    } catch (e) {
+      logger.error(`[${req.session.id}] /send/contact failed`, e);
+      res.status(500).json({ error: e.message, tempId: req.body.tempId });
+    }
+  }
+);
+
+router.get('/outbox',
+  authSession,
+  validate([
+    query('status').optional().isIn(['pending', 'sent', 'failed']),
+    query('since').optional().isInt({ min: 0 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ]),
+  (req, res) => {
+    const { status = null, since = null, limit = 100 } = matchedData(req);
+    res.json(getOutboxItems.all({ session_id: req.session.id, status, since, limit }).map(toOutboxItem));
+  }
+);
+
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const EDITABLE_TYPES = ['conversation', 'extendedText'];
+
+const toMessageKey = (details, id) => ({
+  remoteJid: details.jid,
+  id,
+  fromMe: !!details.isOutgoing,
+  ...(!details.isOutgoing && details.participant && { participant: details.participant }),
+});
+
+router.post('/message/:id/delete',
+  auth,
+  requireScope('send'),
+  validate([
+    body('for').optional().isIn(['everyone', 'me']),
+  ]),
+  async (req, res) => {
+    const { session } = req;
+    const { id } = req.params;
+    const scope = req.body?.for || 'everyone';
+
+    const details = getMessageKeyDetails.get({ message_id: id, session_id: session.id });
+    if (!details) return res.status(404).json({ error: 'Message not found in database.' });
+
+    const key = toMessageKey(details, id);
+    try {
+      if (scope === 'everyone') {
+        if (details.is_deleted) return res.status(409).json({ error: 'Message is already deleted.' });
+        await session.messageQueue.add(() => session.sock.sendMessage(key.remoteJid, { delete: key }));
+        applyMessageRevoke(session, key);
+      } else {
+        await session.sock.chatModify(
+          { deleteForMe: { key, timestamp: details.timestamp, deleteMedia: true } },
+          key.remoteJid
+        );
+        applyMessageDeleteForMe(session, key);
+      }
+      res.json({ success: true });
+    } catch (e) {
+      logger.error(`[${session.id}] /message/${id}/delete failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+router.get('/message/:id/info', authSession, (req, res) => {
+  const { session } = req;
+  const { id } = req.params;
+
+  const details = getMessageKeyDetails.get({ message_id: id, session_id: session.id });
+  if (!details) return res.status(404).json({ error: 'Message not found in database.' });
+  if (!details.isOutgoing) return res.status(403).json({ error: 'Message info is only available for your own messages.' });
+
+  res.json(loadMessageInfo(session, id, details));
+});
+
+router.post('/message/:id/edit',
   auth,
+  requireScope('send'),
+  validate([
+    body('text').isString().notEmpty(),
+  ]),
+  async (req, res) => {
+    const { session } = req;
+    const { id } = req.params;
+
+    const details = getMessageKeyDetails.get({ message_id: id, session_id: session.id });
+    if (!details) return res.status(404).json({ error: 'Message not found in database.' });
+    if (!details.isOutgoing) return res.status(403).json({ error: 'Only your own messages can be edited.' });
+    if (details.is_deleted) return res.status(409).json({ error: 'Message is deleted.' });
+    if (!EDITABLE_TYPES.includes(details.type)) {
+      return res.status(400).json({ error: 'Only text messages can be edited.' });
+    }
+    if (Date.now() - details.timestamp > EDIT_WINDOW_MS) {
+      return res.status(409).json({ error: 'Messages can only be edited within 15 minutes of sending.' });
+    }
+
+    const key = toMessageKey(details, id);
+    try {
+      await session.messageQueue.add(() => session.sock.sendMessage(key.remoteJid, { text: req.body.text, edit: key }));
+      applyMessageEdit(session, key, { conversation: req.body.text });
+      res.json({ success: true });
+    } catch (e) {
+      logger.error(`[${session.id}] /message/${id}/edit failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// Linked devices cannot keep a live location updated; ending one shared from
+// the phone is done by revoking its message, which stops it on every device.
+router.post('/message/:id/live-location/stop', auth, requireScope('send'), async (req, res) => {
+  const { session } = req;
+  const { id } = req.params;
+
+  const details = getMessageKeyDetails.get({ message_id: id, session_id: session.id });
+  if (!details) return res.status(404).json({ error: 'Message not found in database.' });
+  if (details.type !== 'liveLocation') return res.status(400).json({ error: 'Message is not a live location.' });
+  if (!details.isOutgoing) return res.status(403).json({ error: 'Only your own live location can be stopped.' });
+  if (details.is_deleted) return res.status(409).json({ error: 'Live location is already stopped.' });
+
+  const key = toMessageKey(details, id);
+  try {
+    await session.messageQueue.add(() => session.sock.sendMessage(key.remoteJid, { delete: key }));
+    applyMessageRevoke(session, key);
+    res.json({ success: true });
+  } catch (e) {
+    logger.error(`[${session.id}] /message/${id}/live-location/stop failed`, e);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+router.post('/message/:id/forward',
+  authSession,
+  requireScope('send'),
+  validate([
+    body('jids').isArray({ min: 1, max: 50 }),
+    body('jids.*').isString().notEmpty(),
+    body('tempId').optional().isString().notEmpty(),
+  ]),
+  async (req, res) => {
+    const { session } = req;
+    const { id } = req.params;
+
+    const details = getMessageKeyDetails.get({ message_id: id, session_id: session.id });
+    if (!details) return res.status(404).json({ error: 'Message not found in database.' });
+    if (details.is_deleted) return res.status(409).json({ error: 'Message is deleted.' });
+
+    const jids = req.body.jids.map(normalizeJid);
+    if (!jids.every(Boolean)) return res.status(400).json({ error: 'Invalid JID' });
+
+    // One outbox item per target; the tempId keeps a retried request idempotent.
+    const tempId = req.body.tempId || crypto.randomUUID();
+    try {
+      const results = [];
+      for (const jid of new Set(jids)) {
+        const item = await enqueueOutbound(session, {
+          tempId: `${tempId}:${jid}`,
+          jid,
+          kind: 'forward',
+          payload: { messageId: id },
+        });
+        if (!item) {
+          results.push({ jid, tempId: `${tempId}:${jid}`, status: 'failed', messageId: null, error: 'tempId is already in use by a scheduled message.' });
+          continue;
+        }
+        results.push({ jid, tempId: item.tempId, status: item.status, messageId: item.messageId, error: item.error });
+      }
+      res.json({ results });
+    } catch (e) {
+      logger.error(`[${session.id}] /message/${id}/forward failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+// Shared with the `send-reaction` socket command.
+export const sendReaction = [
   validate([
     body('jid').isString().notEmpty(),
     body('messageId').isString().notEmpty(),
@@ -75,7 +414,9 @@ router.post('/send/reaction',
       logger.error(`[${req.session.id}] /send/reaction failed`, e);
       res.status(500).json({ error: e.message });
     }
-  }
-);
+  },
+];
+
+router.post('/send/reaction', auth, requireScope('send'), sendReaction);
 
 export default router;
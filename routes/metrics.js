@@ -0,0 +1,18 @@
+// @path: routes/metrics.js
+import express from 'express';
+import { adminAuth } from '../middleware/auth.js';
+import { register } from '../metrics.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+router.get('/metrics', adminAuth, async (req, res) => {
+  try {
+    res.type(register.contentType).send(await register.metrics());
+  } catch (e) {
+    logger.error('/metrics failed', e);
+    res.status(500).json({ error: 'Failed to collect metrics.' });
+  }
+});
+
+export default router;
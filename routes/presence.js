@@ -0,0 +1,76 @@
+// @path: routes/presence.js
+import express from 'express';
+import { body } from 'express-validator';
+import auth, { authSession, requireScope } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { normalizeJid } from '../whatsapp-service.js';
+import {
+  CHAT_PRESENCE_STATES,
+  isAlwaysOnline,
+  sendChatPresence,
+  setAlwaysOnline,
+  subscribePresence,
+} from '../presence.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+// Shared with the `typing` socket command.
+export const sendPresence = [
+  validate([
+    body('jid').isString().notEmpty(),
+    body('state').isIn(CHAT_PRESENCE_STATES),
+  ]),
+  async (req, res) => {
+    const jid = normalizeJid(req.body.jid);
+    if (!jid) return res.status(400).json({ error: 'Invalid JID provided.' });
+
+    try {
+      const sent = await sendChatPresence(req.session, jid, req.body.state);
+      res.json({ success: true, sent });
+    } catch (e) {
+      logger.error(`[${req.session.id}] /presence failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  },
+];
+
+router.post('/presence', auth, requireScope('send'), sendPresence);
+
+router.post('/presence/subscribe',
+  auth,
+  validate([body('jid').isString().notEmpty()]),
+  async (req, res) => {
+    const jid = normalizeJid(req.body.jid);
+    if (!jid) return res.status(400).json({ error: 'Invalid JID provided.' });
+
+    try {
+      await subscribePresence(req.session, jid);
+      res.json({ success: true });
+    } catch (e) {
+      logger.error(`[${req.session.id}] /presence/subscribe failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+router.get('/presence/settings', authSession, (req, res) => {
+  res.json({ online: isAlwaysOnline(req.session.id) });
+});
+
+router.put('/presence/settings',
+  authSession,
+  requireScope('admin'),
+  validate([body('online').isBoolean({ strict: true })]),
+  async (req, res) => {
+    try {
+      await setAlwaysOnline(req.session, req.body.online);
+      res.json({ online: isAlwaysOnline(req.session.id) });
+    } catch (e) {
+      logger.error(`[${req.session.id}] PUT /presence/settings failed`, e);
+      res.status(500).json({ error: e.message });
+    }
+  }
+);
+
+export default router;
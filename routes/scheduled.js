@@ -0,0 +1,97 @@
+// @path: routes/scheduled.js
+import express from 'express';
+import { body, query, matchedData } from 'express-validator';
+import { authSession, requireScope } from '../middleware/auth.js';
+import validate, { sendAtValidator } from '../middleware/validator.js';
+import { normalizeJid } from '../whatsapp-service.js';
+import { toScheduledMessage } from '../scheduler.js';
+import {
+  getScheduledMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
+} from '../database.js';
+
+const router = express.Router();
+
+const SCHEDULED_STATUSES = ['scheduled', 'sending', 'queued', 'sent', 'failed', 'cancelled'];
+
+router.get('/scheduled',
+  authSession,
+  validate([
+    query('status').optional().isIn(SCHEDULED_STATUSES),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  ]),
+  (req, res) => {
+    const { status = null, limit = 100 } = matchedData(req);
+    res.json(getScheduledMessages.all({ session_id: req.session.id, status, limit }).map(toScheduledMessage));
+  }
+);
+
+router.get('/scheduled/:id', authSession, (req, res) => {
+  const row = getScheduledMessage.get({ id: req.params.id, session_id: req.session.id });
+  if (!row) return res.status(404).json({ error: 'Scheduled message not found.' });
+  res.json(toScheduledMessage(row));
+});
+
+router.patch('/scheduled/:id',
+  authSession,
+  requireScope('send'),
+  validate([
+    body('jid').optional().isString().notEmpty(),
+    body('text').optional().isString().notEmpty(),
+    body('caption').optional().isString(),
+    sendAtValidator().optional(),
+  ]),
+  (req, res) => {
+    const { id } = req.params;
+    const { jid, text, caption, sendAt } = req.body;
+
+    const row = getScheduledMessage.get({ id, session_id: req.session.id });
+    if (!row) return res.status(404).json({ error: 'Scheduled message not found.' });
+    if (row.status !== 'scheduled') {
+      return res.status(409).json({ error: `Scheduled message is already ${row.status}.` });
+    }
+
+    const payload = JSON.parse(row.payload);
+    if (text !== undefined) {
+      if (row.kind !== 'text') return res.status(400).json({ error: 'Only text messages have a `text` field.' });
+      payload.text = text;
+    }
+    if (caption !== undefined) {
+      if (row.kind !== 'media' || !['image', 'video'].includes(payload.mediaType)) {
+        return res.status(400).json({ error: 'Only image and video messages have a caption.' });
+      }
+      payload.caption = caption;
+    }
+
+    const fullJid = jid === undefined ? row.jid : normalizeJid(jid);
+    if (!fullJid) return res.status(400).json({ error: "Invalid JID" });
+
+    const { changes } = updateScheduledMessage.run({
+      id,
+      session_id: req.session.id,
+      jid: fullJid,
+      payload: JSON.stringify(payload),
+      send_at: sendAt ?? row.send_at,
+      now: Date.now(),
+    });
+    // The job may have fired between the read and the update.
+    if (!changes) return res.status(409).json({ error: 'Scheduled message is no longer pending.' });
+
+    res.json(toScheduledMessage(getScheduledMessage.get({ id, session_id: req.session.id })));
+  }
+);
+
+router.delete('/scheduled/:id', authSession, requireScope('send'), (req, res) => {
+  const { id } = req.params;
+  const { changes } = cancelScheduledMessage.run({ id, session_id: req.session.id, now: Date.now() });
+  if (!changes) {
+    const row = getScheduledMessage.get({ id, session_id: req.session.id });
+    if (!row) return res.status(404).json({ error: 'Scheduled message not found.' });
+    return res.status(409).json({ error: `Scheduled message is already ${row.status}.` });
+  }
+  res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,65 @@
+// @path: routes/search.js
+import express from 'express';
+import { query, matchedData } from 'express-validator';
+import auth from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { normalizeJid } from '../whatsapp-service.js';
+import { searchMessages } from '../database.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+// Quote every word and prefix-match it so user input can never be parsed
+// as FTS5 query syntax.
+const toMatchQuery = q => q.match(/[\p{L}\p{N}_]+/gu)?.map(term => `"${term}"*`).join(' ') || null;
+
+router.get('/search',
+  auth,
+  validate([
+    query('q').isString().trim().notEmpty(),
+    query('jid').optional().isString().notEmpty(),
+    query('from').optional().isInt({ min: 0 }).toInt(),
+    query('to').optional().isInt({ min: 0 }).toInt(),
+    query('type').optional().isString().notEmpty(),
+    query('fromMe').optional().isBoolean().toBoolean(),
+    query('sort').optional().isIn(['recent', 'relevance']),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt(),
+  ]),
+  (req, res) => {
+    const { q, jid, from, to, type, fromMe, sort = 'recent', limit = 20, offset = 0 } = matchedData(req);
+
+    const matchQuery = toMatchQuery(q);
+    if (!matchQuery) return res.status(400).json({ error: 'Search query has no searchable words.' });
+
+    const normalizedJid = jid ? normalizeJid(jid) : null;
+    if (jid && !normalizedJid) return res.status(400).json({ error: 'Invalid JID' });
+
+    try {
+      const rows = searchMessages.all({
+        query: matchQuery,
+        session_id: req.session.id,
+        jid: normalizedJid,
+        from: from ?? null,
+        to: to ?? null,
+        type: type ?? null,
+        from_me: fromMe === undefined ? null : fromMe ? 1 : 0,
+        sort,
+        limit: limit + 1,
+        offset,
+      });
+
+      const hasMore = rows.length > limit;
+      res.json({
+        results: rows.slice(0, limit),
+        hasMore,
+        nextOffset: hasMore ? offset + limit : null,
+      });
+    } catch (e) {
+      logger.error(`[${req.session.id}] /search failed`, e);
+      res.status(500).json({ error: 'Failed to search messages.' });
+    }
+  }
+);
+
+export default router;
@@ -1,33 +1,105 @@
 import express from 'express';
+import multer from 'multer';
+import { body } from 'express-validator';
 import { v4 as uuidv4 } from 'uuid';
-import { sessions, createOnLogout } from '../app.js';
-import { createWhatsappSession } from '../whatsapp-service.js';
-import auth from '../middleware/auth.js';
+import { sessions } from '../sessions.js';
+import { createOnLogout, startSession } from '../app.js';
+import { createWhatsappSession, endWhatsappSession, startPairing } from '../whatsapp-service.js';
+import { createApiKey, API_KEY_SCOPES } from '../api-keys.js';
+import {
+  createSessionArchive,
+  readSessionArchive,
+  restoreSessionArchive,
+  InvalidArchiveError,
+} from '../session-archive.js';
+import auth, { authSession, adminAuth, requireScope } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { logger } from '../logger.js';
 
 const router = express.Router();
 
-router.post('/create', (req, res) => {
-  const id = uuidv4();
-  const session = {
-    id,
-    sock: null,
-    isAuthenticated: false,
-    latestQR: null,
-    io: req.app.get('io').to(id)
-  };
-  sessions.set(id, session);
-  createWhatsappSession(session, createOnLogout(id));
-  res.json({ sessionId: id });
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 },
 });
 
-router.get('/status', (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  const session = sessions.get(token);
-  if (!token || !session) return res.status(401).json({ error: 'Unauthorized' });
-  res.json({ connected: session.isAuthenticated, qr: session.latestQR });
+const phoneNumberValidator = () => body('phoneNumber')
+  .customSanitizer(value => (typeof value === 'string' ? value.replace(/[\s()+-]/g, '') : value))
+  .matches(/^\d{8,15}$/)
+  .withMessage('Phone number must be in international format, digits only.');
+
+router.post('/create',
+  adminAuth,
+  validate([
+    body('issueKey').optional().isBoolean({ strict: true }),
+    body('label').optional().isString().trim().isLength({ max: 100 }),
+    body('scopes').optional().isArray({ min: 1 }),
+    body('scopes.*').isIn(API_KEY_SCOPES.filter(scope => scope !== 'admin')),
+    phoneNumberValidator().optional(),
+  ]),
+  async (req, res) => {
+    const { issueKey, scopes, phoneNumber, label } = req.body || {};
+    const session = startSession(uuidv4(), { phoneNumber, label });
+    const response = { sessionId: session.id, loginMethod: session.loginMethod };
+
+    if (issueKey) {
+      response.apiKey = createApiKey({
+        name: `session ${session.id}`,
+        scopes: scopes || ['read', 'send'],
+        sessions: [session.id],
+      }).key;
+    }
+
+    if (phoneNumber) {
+      try {
+        response.pairingCode = await startPairing(session, phoneNumber);
+        response.pairingCodeExpiresAt = session.pairingCodeExpiresAt;
+      } catch (e) {
+        logger.error(`[${session.id}] Failed to request pairing code`, e);
+        response.pairingCode = null;
+      }
+    }
+
+    res.json(response);
+  }
+);
+
+router.post('/pair',
+  authSession,
+  requireScope('send'),
+  validate([phoneNumberValidator()]),
+  async (req, res) => {
+    const { session } = req;
+    if (session.isAuthenticated || session.sock?.authState?.creds?.account) {
+      return res.status(409).json({ error: 'Session is already paired.' });
+    }
+
+    try {
+      const pairingCode = await startPairing(session, req.body.phoneNumber);
+      if (!pairingCode) {
+        return res.status(504).json({ error: 'Timed out waiting for a pairing code. It will be sent over the socket.' });
+      }
+      res.json({ pairingCode, pairingCodeExpiresAt: session.pairingCodeExpiresAt });
+    } catch (e) {
+      logger.error(`[${session.id}] /session/pair failed`, e);
+      res.status(500).json({ error: 'Failed to request pairing code.' });
+    }
+  }
+);
+
+router.get('/status', authSession, (req, res) => {
+  const { session } = req;
+  const pendingLogin = session.isAuthenticated ? null : session.loginMethod;
+  res.json({
+    connected: session.isAuthenticated,
+    pendingLogin,
+    qr: pendingLogin === 'qr' ? session.latestQR : null,
+    pairingCode: pendingLogin === 'pairing' ? session.pairingCode : null,
+    pairingCodeExpiresAt: pendingLogin === 'pairing' ? session.pairingCodeExpiresAt : null,
+  });
 });
 
-router.post('/logout', auth, async (req, res) => {
+router.post('/logout', auth, requireScope('admin'), async (req, res) => {
   try {
     await req.session.sock?.logout();
     createOnLogout(req.session.id)();
@@ -37,4 +109,60 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+router.get('/export', authSession, requireScope('admin'), (req, res) => {
+  const { id } = req.session;
+  const includeData = req.query.includeData === 'true';
+  const archive = createSessionArchive(id, { includeData });
+
+  archive.on('warning', err => logger.warn(`[${id}] Session export warning: ${err.message}`));
+  archive.on('error', err => {
+    logger.error(`[${id}] Session export failed`, err);
+    res.destroy(err);
+  });
+
+  res.attachment('wami-session.zip');
+  archive.pipe(res);
+  archive.finalize();
+});
+
+router.post('/import', adminAuth, upload.single('file'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'File is required' });
+  }
+
+  let contents;
+  try {
+    contents = await readSessionArchive(req.file.buffer);
+  } catch (e) {
+    if (e instanceof InvalidArchiveError) return res.status(400).json({ error: e.message });
+    logger.error('/session/import failed to read archive', e);
+    return res.status(500).json({ error: 'Failed to read session archive.' });
+  }
+
+  const targetId = req.headers['x-session-id'];
+  const existing = targetId ? sessions.get(targetId) : null;
+  if (targetId && !existing) return res.status(404).json({ error: 'Session not found.' });
+
+  const id = existing?.id || uuidv4();
+  if (existing) endWhatsappSession(existing, 'Session import');
+  let result = null;
+  try {
+    result = await restoreSessionArchive(id, contents);
+  } catch (e) {
+    logger.error(`[${id}] /session/import failed`, e);
+  }
+
+  // A failed import leaves the existing session as it was, so it is restarted either way.
+  if (existing) {
+    existing.latestQR = null;
+    if (!existing.paused) createWhatsappSession(existing, createOnLogout(id));
+  } else if (result) {
+    startSession(id);
+  }
+
+  if (!result) return res.status(500).json({ error: 'Failed to restore session archive.' });
+  logger.info(`[${id}] Session imported (${result.imported} messages, ${result.skipped} already stored).`);
+  res.json({ success: true, sessionId: id, importedMessages: result.imported, skippedMessages: result.skipped });
+});
+
 export default router;
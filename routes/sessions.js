@@ -0,0 +1,89 @@
+// @path: routes/sessions.js
+import express from 'express';
+import { body } from 'express-validator';
+import { sessions } from '../sessions.js';
+import { createOnLogout } from '../app.js';
+import { createWhatsappSession, endWhatsappSession, pauseSession } from '../whatsapp-service.js';
+import { adminAuth } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { loadSessionInfo } from '../session-info.js';
+import { setSessionLabel, setSessionPaused } from '../database.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+
+const sessionParam = (req, res, next) => {
+  req.session = sessions.get(req.params.id);
+  if (!req.session) return res.status(404).json({ error: 'Session not found.' });
+  next();
+};
+
+// Ending the connection ourselves emits no close event, so clients are told here.
+function disconnect(session, reason) {
+  endWhatsappSession(session, reason);
+  session.io.emit('disconnected');
+}
+
+router.get('/sessions', adminAuth, (req, res) => {
+  res.json([...sessions.values()].map(loadSessionInfo));
+});
+
+router.patch('/sessions/:id',
+  adminAuth,
+  sessionParam,
+  validate([
+    body('label').isString().trim().isLength({ max: 100 }),
+  ]),
+  (req, res) => {
+    setSessionLabel.run({ session_id: req.session.id, label: req.body.label || null });
+    res.json(loadSessionInfo(req.session));
+  }
+);
+
+router.post('/sessions/:id/reconnect', adminAuth, sessionParam, (req, res) => {
+  const { session } = req;
+  if (session.paused) return res.status(409).json({ error: 'Session is paused; resume it instead.' });
+
+  logger.info(`[${session.id}] Reconnect requested.`);
+  disconnect(session, 'Reconnect requested');
+  createWhatsappSession(session, createOnLogout(session.id));
+  res.json({ success: true });
+});
+
+router.post('/sessions/:id/pause', adminAuth, sessionParam, (req, res) => {
+  const { session } = req;
+  if (!session.paused) {
+    logger.info(`[${session.id}] Session paused.`);
+    pauseSession(session);
+  }
+  res.json({ success: true });
+});
+
+router.post('/sessions/:id/resume', adminAuth, sessionParam, (req, res) => {
+  const { session } = req;
+  if (session.paused) {
+    session.paused = false;
+    setSessionPaused.run({ session_id: session.id, paused: 0 });
+    logger.info(`[${session.id}] Session resumed.`);
+    createWhatsappSession(session, createOnLogout(session.id));
+  }
+  res.json({ success: true });
+});
+
+// Logs the session out of WhatsApp when possible and removes its credentials and data.
+router.delete('/sessions/:id', adminAuth, sessionParam, async (req, res) => {
+  const { session } = req;
+  if (session.isAuthenticated) {
+    try {
+      await session.sock.logout();
+    } catch (e) {
+      logger.warn(`[${session.id}] Logout before delete failed: ${e.message}`);
+    }
+  }
+  disconnect(session, 'Session deleted');
+  createOnLogout(session.id)();
+  logger.info(`[${session.id}] Session deleted.`);
+  res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,128 @@
+// @path: routes/webhook.js
+import express from 'express';
+import crypto from 'crypto';
+import { body, query, matchedData } from 'express-validator';
+import { authSession, requireScope } from '../middleware/auth.js';
+import validate from '../middleware/validator.js';
+import { generateWebhookSecret, scheduleWebhookRun } from '../webhooks.js';
+import { assertPublicUrl } from '../public-http.js';
+import {
+  insertWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhook,
+  getWebhooksBySession,
+  getWebhookDeliveries,
+  retryWebhookDelivery,
+} from '../database.js';
+import { logger } from '../logger.js';
+
+const router = express.Router();
+const webhookAuth = [authSession, requireScope('admin')];
+
+const EVENT_FILTER = /^(\*|[a-z0-9-]+)$/;
+const urlOptions = { protocols: ['http', 'https'], require_protocol: true };
+
+const toWebhook = row => row && ({
+  id: row.id,
+  url: row.url,
+  events: JSON.parse(row.events),
+  enabled: !!row.enabled,
+  createdAt: row.created_at,
+});
+
+router.get('/webhooks', webhookAuth, (req, res) => {
+  res.json(getWebhooksBySession.all({ session_id: req.session.id }).map(toWebhook));
+});
+
+router.post('/webhooks',
+  webhookAuth,
+  validate([
+    body('url').isURL(urlOptions).bail().custom(assertPublicUrl),
+    body('events').optional().isArray({ min: 1 }),
+    body('events.*').isString().matches(EVENT_FILTER),
+    body('secret').optional().isString().isLength({ min: 16 }),
+  ]),
+  (req, res) => {
+    const { url, events = ['*'], secret = generateWebhookSecret() } = req.body;
+    const id = crypto.randomUUID();
+    try {
+      insertWebhook.run({
+        id,
+        session_id: req.session.id,
+        url,
+        events: JSON.stringify([...new Set(events)]),
+        secret,
+        enabled: 1,
+        created_at: Date.now(),
+      });
+      // The secret is only ever returned here.
+      res.status(201).json({ ...toWebhook(getWebhook.get({ id, session_id: req.session.id })), secret });
+    } catch (e) {
+      logger.error(`[${req.session.id}] POST /webhooks failed`, e);
+      res.status(500).json({ error: 'Failed to register webhook.' });
+    }
+  }
+);
+
+router.patch('/webhooks/:id',
+  webhookAuth,
+  validate([
+    body('url').optional().isURL(urlOptions).bail().custom(assertPublicUrl),
+    body('events').optional().isArray({ min: 1 }),
+    body('events.*').isString().matches(EVENT_FILTER),
+    body('secret').optional().isString().isLength({ min: 16 }),
+    body('enabled').optional().isBoolean({ strict: true }),
+  ]),
+  (req, res) => {
+    const { url, events, secret, enabled } = req.body;
+    const { changes } = updateWebhook.run({
+      id: req.params.id,
+      session_id: req.session.id,
+      url: url ?? null,
+      events: events ? JSON.stringify([...new Set(events)]) : null,
+      secret: secret ?? null,
+      enabled: enabled === undefined ? null : enabled ? 1 : 0,
+    });
+    if (!changes) return res.status(404).json({ error: 'Webhook not found.' });
+    res.json(toWebhook(getWebhook.get({ id: req.params.id, session_id: req.session.id })));
+  }
+);
+
+router.delete('/webhooks/:id', webhookAuth, (req, res) => {
+  const changes = deleteWebhook({ id: req.params.id, session_id: req.session.id });
+  if (!changes) return res.status(404).json({ error: 'Webhook not found.' });
+  res.json({ success: true });
+});
+
+router.get('/webhooks/:id/deliveries',
+  webhookAuth,
+  validate([
+    query('status').optional().isIn(['pending', 'delivered', 'failed']),
+    query('before').optional().isInt({ min: 0 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  ]),
+  (req, res) => {
+    if (!getWebhook.get({ id: req.params.id, session_id: req.session.id })) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+    const { status = null, before = null, limit = 50 } = matchedData(req);
+    res.json(getWebhookDeliveries.all({ webhook_id: req.params.id, status, before, limit }));
+  }
+);
+
+router.post('/webhooks/:id/deliveries/:deliveryId/retry', webhookAuth, (req, res) => {
+  if (!getWebhook.get({ id: req.params.id, session_id: req.session.id })) {
+    return res.status(404).json({ error: 'Webhook not found.' });
+  }
+  const { changes } = retryWebhookDelivery.run({
+    id: req.params.deliveryId,
+    webhook_id: req.params.id,
+    now: Date.now(),
+  });
+  if (!changes) return res.status(404).json({ error: 'Delivery not found.' });
+  scheduleWebhookRun();
+  res.json({ success: true });
+});
+
+export default router;
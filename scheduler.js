@@ -0,0 +1,138 @@
+// @path: scheduler.js
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { enqueueOutbound } from './outbox.js';
+import {
+  insertScheduledMessage,
+  getScheduledMessage,
+  getDueScheduledMessages,
+  getQueuedScheduledMessages,
+  isTempIdInUse,
+  claimScheduledMessage,
+  finishScheduledMessage,
+  resetInterruptedScheduledMessages,
+} from './database.js';
+
+const POLL_INTERVAL_MS = 1000;
+const BATCH_SIZE = 20;
+
+let sessionsRef = new Map();
+// Sessions whose due jobs are being sent; each is worked through on its own,
+// so a session stuck on a send does not hold the others back.
+const processing = new Set();
+
+export const toScheduledMessage = row => row && ({
+  id: row.id,
+  tempId: row.temp_id,
+  jid: row.jid,
+  kind: row.kind,
+  payload: JSON.parse(row.payload),
+  sendAt: row.send_at,
+  status: row.status,
+  messageId: row.message_id,
+  error: row.error,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Stores a message to be sent at `sendAt`. The payload has the same shape as
+ * an outbox payload and is handed to the outbox when the job fires. Returns
+ * null when `tempId` is already used by a sent or scheduled message.
+ */
+export function scheduleOutbound(session, { tempId, jid, kind, payload, sendAt }) {
+  if (isTempIdInUse.get({ session_id: session.id, temp_id: tempId }).in_use) return null;
+
+  const id = crypto.randomUUID();
+  insertScheduledMessage.run({
+    id,
+    session_id: session.id,
+    temp_id: tempId,
+    jid,
+    kind,
+    payload: JSON.stringify(payload),
+    send_at: sendAt,
+    now: Date.now(),
+  });
+  return toScheduledMessage(getScheduledMessage.get({ id, session_id: session.id }));
+}
+
+async function fire(session, row) {
+  const { changes } = claimScheduledMessage.run({ id: row.id, now: Date.now() });
+  if (!changes) return;
+
+  let item;
+  try {
+    item = await enqueueOutbound(session, {
+      tempId: row.temp_id,
+      jid: row.jid,
+      kind: row.kind,
+      payload: JSON.parse(row.payload),
+    }, { scheduled: true });
+  } catch (e) {
+    item = { status: 'failed', messageId: null, error: e.message };
+  }
+
+  // A transient failure leaves the message in the outbox, which resends it
+  // and settles the job through `settleQueuedScheduledMessages`.
+  finish(session, row, { ...item, status: item.status === 'pending' ? 'queued' : item.status });
+}
+
+function finish(session, row, { status, messageId = null, error = null }) {
+  finishScheduledMessage.run({ id: row.id, status, message_id: messageId, error, now: Date.now() });
+
+  const event = { id: row.id, tempId: row.temp_id, jid: row.jid };
+  if (status === 'sent') {
+    session.io.emit('scheduled-message-sent', { ...event, messageId });
+  } else if (status === 'failed') {
+    logger.warn(`[${session.id}] Scheduled message ${row.id} failed: ${error}`);
+    session.io.emit('scheduled-message-failed', { ...event, error });
+  }
+}
+
+// Called by the outbox when a message is finally sent or fails.
+export function settleQueuedScheduledMessages(session, tempId, item) {
+  for (const row of getQueuedScheduledMessages.all({ session_id: session.id, temp_id: tempId })) {
+    finish(session, row, item);
+  }
+}
+
+/**
+ * Fires every due job whose session is connected. Jobs of disconnected
+ * sessions stay due and fire once the session is back.
+ */
+export function processScheduledMessages() {
+  const runs = [];
+  for (const session of sessionsRef.values()) {
+    if (!session.sock || !session.isAuthenticated || processing.has(session.id)) continue;
+    runs.push(processSession(session));
+  }
+  return Promise.all(runs);
+}
+
+async function processSession(session) {
+  processing.add(session.id);
+  try {
+    const due = getDueScheduledMessages.all({ session_id: session.id, now: Date.now(), limit: BATCH_SIZE });
+    for (const row of due) await fire(session, row);
+  } catch (e) {
+    logger.error(`[${session.id}] Scheduler failed: ${e.message}`);
+  } finally {
+    processing.delete(session.id);
+  }
+}
+
+/**
+ * Retries the session's jobs that were claimed when the process running it
+ * stopped; the outbox `tempId` keeps an already-sent message from going out
+ * twice. Called when a process takes a session on, so under the supervisor
+ * the jobs another worker is sending are left alone.
+ */
+export const resetInterruptedJobs = sessionId =>
+  resetInterruptedScheduledMessages.run({ session_id: sessionId });
+
+export function startScheduler(sessions) {
+  sessionsRef = sessions;
+  processScheduledMessages();
+  return setInterval(processScheduledMessages, POLL_INTERVAL_MS).unref();
+}
@@ -0,0 +1,288 @@
+// @path: session-archive.js
+import fs from 'fs/promises';
+import path from 'path';
+import { Readable } from 'stream';
+import archiver from 'archiver';
+import unzipper from 'unzipper';
+import dotenv from 'dotenv';
+import { jidNormalizedUser } from '@whiskeysockets/baileys';
+import { forgetEventLog } from './event-log.js';
+import {
+  getSessionChats,
+  getSessionMessages,
+  getSessionReactions,
+  upsertChat,
+  insertMessage,
+  upsertReaction,
+  deleteAccountData,
+  runInTransaction,
+} from './database.js';
+
+dotenv.config();
+const SESSIONS_DIR = process.env.SESSIONS_DIR || './auth_sessions';
+
+const ARCHIVE_VERSION = 1;
+const MAX_ENTRIES = 20000;
+const MAX_UNCOMPRESSED_BYTES = 512 * 1024 * 1024;
+
+const CHAT_COLUMNS = ['jid', 'name', 'is_group', 'last_message', 'last_message_timestamp', 'unread_count'];
+const MESSAGE_COLUMNS = [
+  'message_id', 'jid', 'text', 'type', 'isOutgoing', 'status', 'timestamp', 'participant',
+  'sender_name', 'media_url', 'mimetype', 'quoted_message_id', 'quoted_message_text',
+  'media_sha256', 'raw_message_data', 'caption', 'details',
+];
+const REACTION_COLUMNS = ['message_id', 'sender_jid', 'emoji'];
+
+const DATA_FILES = {
+  'data/chats.ndjson': 'chats',
+  'data/messages.ndjson': 'messages',
+  'data/reactions.ndjson': 'reactions',
+};
+
+export class InvalidArchiveError extends Error {}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = buf => {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const pick = (row, columns) => Object.fromEntries(columns.map(col => [col, row?.[col] ?? null]));
+
+const toNdjson = rows => Readable.from((function* () {
+  for (const row of rows) yield `${JSON.stringify(row)}\n`;
+})());
+
+/**
+ * Builds a ZIP stream with the session's auth folder under `auth/` and,
+ * optionally, its chats/messages/reactions as NDJSON under `data/`.
+ * The caller pipes and finalizes the returned archiver instance.
+ */
+export function createSessionArchive(sessionId, { includeData = false } = {}) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  archive.append(JSON.stringify({
+    version: ARCHIVE_VERSION,
+    sessionId,
+    exportedAt: Date.now(),
+    includesData: includeData,
+  }), { name: 'manifest.json' });
+  archive.directory(path.join(SESSIONS_DIR, sessionId), 'auth');
+
+  if (includeData) {
+    const params = { session_id: sessionId };
+    archive.append(toNdjson(getSessionChats.all(params)), { name: 'data/chats.ndjson' });
+    archive.append(toNdjson(getSessionMessages.all(params)), { name: 'data/messages.ndjson' });
+    archive.append(toNdjson(getSessionReactions.all(params)), { name: 'data/reactions.ndjson' });
+  }
+
+  return archive;
+}
+
+function normalizeEntryPath(entryPath) {
+  const segments = entryPath.split('/');
+  if (
+    !entryPath ||
+    entryPath.includes('\0') ||
+    entryPath.includes('\\') ||
+    path.posix.isAbsolute(entryPath) ||
+    /^[a-zA-Z]:/.test(entryPath) ||
+    segments.includes('..')
+  ) {
+    throw new InvalidArchiveError(`Unsafe path in archive: ${entryPath}`);
+  }
+  return path.posix.normalize(entryPath);
+}
+
+const isSymlink = entry => ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+
+// Inflates an entry, giving up once it exceeds `limit` bytes: the sizes an
+// archive declares cannot be trusted.
+async function readEntry(entry, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of entry.stream()) {
+    size += chunk.length;
+    if (size > limit) throw new InvalidArchiveError('Archive is too large once extracted.');
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function parseNdjson(name, content) {
+  return content.toString('utf8').split('\n').filter(Boolean).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch {
+      throw new InvalidArchiveError(`Malformed JSON in ${name} at line ${i + 1}`);
+    }
+  });
+}
+
+/**
+ * Reads and validates an exported session archive entirely in memory.
+ * Rejects unsafe paths, symlinks, truncated or corrupt entries, and
+ * archives without paired credentials. Nothing is written to disk here.
+ */
+export async function readSessionArchive(buffer) {
+  let directory;
+  try {
+    directory = await unzipper.Open.buffer(buffer);
+  } catch (e) {
+    throw new InvalidArchiveError(`Not a valid ZIP archive: ${e.message}`);
+  }
+
+  if (directory.files.length > MAX_ENTRIES) {
+    throw new InvalidArchiveError('Archive contains too many entries.');
+  }
+
+  const authFiles = new Map();
+  const data = {};
+  let manifest = null;
+  let totalBytes = 0;
+
+  for (const entry of directory.files) {
+    const name = normalizeEntryPath(entry.path);
+    if (entry.type === 'Directory') continue;
+    if (isSymlink(entry)) throw new InvalidArchiveError(`Symlinks are not allowed: ${entry.path}`);
+
+    if (totalBytes + entry.uncompressedSize > MAX_UNCOMPRESSED_BYTES) {
+      throw new InvalidArchiveError('Archive is too large once extracted.');
+    }
+
+    let content;
+    try {
+      content = await readEntry(entry, MAX_UNCOMPRESSED_BYTES - totalBytes);
+    } catch (e) {
+      if (e instanceof InvalidArchiveError) throw e;
+      throw new InvalidArchiveError(`Corrupt entry ${entry.path}: ${e.message}`);
+    }
+    totalBytes += content.length;
+    if (content.length !== entry.uncompressedSize || crc32(content) !== entry.crc32 >>> 0) {
+      throw new InvalidArchiveError(`Corrupt entry ${entry.path}: checksum mismatch.`);
+    }
+
+    if (name.startsWith('auth/')) {
+      const fileName = name.slice('auth/'.length);
+      if (!fileName || fileName.includes('/')) {
+        throw new InvalidArchiveError(`Unexpected nested path in archive: ${entry.path}`);
+      }
+      authFiles.set(fileName, content);
+    } else if (DATA_FILES[name]) {
+      data[DATA_FILES[name]] = parseNdjson(name, content);
+    } else if (name === 'manifest.json') {
+      try {
+        manifest = JSON.parse(content.toString('utf8'));
+      } catch {
+        throw new InvalidArchiveError('Malformed manifest.json.');
+      }
+    } else {
+      throw new InvalidArchiveError(`Unexpected entry in archive: ${entry.path}`);
+    }
+  }
+
+  if (manifest?.version !== ARCHIVE_VERSION) {
+    throw new InvalidArchiveError('Missing or unsupported manifest.json.');
+  }
+
+  const credsFile = authFiles.get('creds.json');
+  if (!credsFile) throw new InvalidArchiveError('Archive does not contain auth/creds.json.');
+
+  let creds;
+  try {
+    creds = JSON.parse(credsFile.toString('utf8'));
+  } catch {
+    throw new InvalidArchiveError('auth/creds.json is not valid JSON.');
+  }
+  if (!creds?.me?.id) {
+    throw new InvalidArchiveError('Archive does not contain a paired session.');
+  }
+
+  return { manifest, authFiles, data: Object.keys(data).length ? data : null };
+}
+
+// Message ids are unique across the server, so messages already stored (e.g.
+// by the session the archive was exported from) are skipped and counted.
+const importSessionData = (sessionId, { chats = [], messages = [], reactions = [] }) => {
+  let imported = 0;
+  let skipped = 0;
+  runInTransaction(() => {
+    for (const row of chats) {
+      if (typeof row?.jid !== 'string') continue;
+      upsertChat.run({ ...pick(row, CHAT_COLUMNS), session_id: sessionId, is_group: row.is_group ? 1 : 0 });
+    }
+    for (const row of messages) {
+      if (typeof row?.message_id !== 'string' || typeof row.jid !== 'string') continue;
+      if (insertMessage.run({ ...pick(row, MESSAGE_COLUMNS), session_id: sessionId }).changes) imported++;
+      else skipped++;
+    }
+    for (const row of reactions) {
+      if (typeof row?.message_id !== 'string' || typeof row.sender_jid !== 'string') continue;
+      upsertReaction.run(pick(row, REACTION_COLUMNS));
+    }
+  });
+  return { imported, skipped };
+};
+
+const accountOf = creds => (creds?.me?.id ? jidNormalizedUser(creds.me.id) : null);
+
+async function readAccount(authPath) {
+  try {
+    return accountOf(JSON.parse(await fs.readFile(path.join(authPath, 'creds.json'), 'utf8')));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Replaces the session's auth folder with the archive contents and imports
+ * any bundled chat data. The session's socket must already be stopped.
+ * Files are staged in a dot-folder and swapped in with renames; on failure
+ * the previous auth folder and data are left as they were. When the archive
+ * holds another WhatsApp account, the previous account's data is dropped.
+ * Resolves with `{ imported, skipped }` message counts.
+ */
+export async function restoreSessionArchive(sessionId, { authFiles, data }) {
+  const authPath = path.join(SESSIONS_DIR, sessionId);
+  const stamp = Date.now();
+  const stagingPath = path.join(SESSIONS_DIR, `.import-${sessionId}-${stamp}`);
+  const previousPath = path.join(SESSIONS_DIR, `.replaced-${sessionId}-${stamp}`);
+
+  const accountChanged = await readAccount(authPath) !== accountOf(JSON.parse(authFiles.get('creds.json')));
+  let hadPrevious = false;
+  let swapped = false;
+  let imported;
+
+  await fs.mkdir(stagingPath, { recursive: true });
+  try {
+    for (const [fileName, content] of authFiles) {
+      await fs.writeFile(path.join(stagingPath, fileName), content);
+    }
+    hadPrevious = await fs.rename(authPath, previousPath).then(() => true, e => {
+      if (e.code !== 'ENOENT') throw e;
+      return false;
+    });
+    await fs.rename(stagingPath, authPath);
+    swapped = true;
+
+    imported = runInTransaction(() => {
+      if (accountChanged) deleteAccountData(sessionId);
+      return data ? importSessionData(sessionId, data) : { imported: 0, skipped: 0 };
+    });
+  } catch (e) {
+    await fs.rm(stagingPath, { recursive: true, force: true });
+    if (swapped) await fs.rm(authPath, { recursive: true, force: true });
+    if (hadPrevious) await fs.rename(previousPath, authPath);
+    throw e;
+  }
+
+  if (accountChanged) forgetEventLog(sessionId);
+  await fs.rm(previousPath, { recursive: true, force: true });
+  return imported;
+}
@@ -0,0 +1,65 @@
+// @path: session-info.js
+import { jidDecode, jidNormalizedUser } from '@whiskeysockets/baileys';
+import {
+  insertSessionMetadata,
+  getSessionMetadata,
+  setSessionConnected,
+  setSessionDisconnectCode,
+  setSessionActivity,
+} from './database.js';
+
+// `last_activity_at` is written at most this often per session.
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+const activityWrittenAt = new Map();
+
+// Stores a session's metadata row on first start and returns it.
+export function registerSession(id, label = null) {
+  insertSessionMetadata.run({ session_id: id, label, now: Date.now() });
+  return getSessionMetadata.get({ session_id: id });
+}
+
+export const sessionState = session =>
+  session.paused ? 'paused' :
+  session.isAuthenticated ? 'connected' :
+  session.awaitingLogin ? 'awaiting_login' :
+  session.sock ? 'connecting' : 'disconnected';
+
+export function loadSessionInfo(session) {
+  const { paused, ...meta } = getSessionMetadata.get({ session_id: session.id }) || {};
+  return {
+    id: session.id,
+    state: sessionState(session),
+    ...meta,
+    lastActivityAt: session.lastActivity ?? meta.lastActivityAt ?? null,
+  };
+}
+
+// API and socket traffic and incoming messages; idle sessions can be paused by `runCleanupWorker`.
+export function recordActivity(session) {
+  const now = Date.now();
+  session.lastActivity = now;
+  if (now - (activityWrittenAt.get(session.id) ?? 0) < ACTIVITY_WRITE_INTERVAL_MS) return;
+  activityWrittenAt.set(session.id, now);
+  setSessionActivity.run({ session_id: session.id, now });
+}
+
+export function recordConnected(session) {
+  const meJid = session.sock?.user?.id ? jidNormalizedUser(session.sock.user.id) : null;
+  setSessionConnected.run({
+    session_id: session.id,
+    me_jid: meJid,
+    phone_number: meJid ? jidDecode(meJid)?.user ?? null : null,
+    now: Date.now(),
+  });
+}
+
+export const recordDisconnect = (session, code) =>
+  setSessionDisconnectCode.run({ session_id: session.id, code: code ?? null });
+
+// A session with Socket.IO clients connected is in use even when nothing happens.
+export function recordConnectedClients(session, count) {
+  session.connectedClients = count;
+  recordActivity(session);
+}
+
+export const forgetSessionActivity = id => activityWrittenAt.delete(id);
@@ -0,0 +1,7 @@
+// @path: sessions.js
+/**
+ * Sessions by id. In a server process these are the live WhatsApp sessions it
+ * runs; in the supervisor they are `{ id, worker, isAuthenticated }` records
+ * of the sessions its workers run.
+ */
+export const sessions = new Map();
@@ -0,0 +1,98 @@
+// @path: socket-commands.js
+import { authorize } from './middleware/auth.js';
+import { sendText, sendReaction } from './routes/message.js';
+import { markRead, fetchHistory } from './routes/chat.js';
+import { sendPresence } from './routes/presence.js';
+import { logger } from './logger.js';
+
+// Query parameters arrive as strings over HTTP; the shared handlers expect that.
+const toQuery = params => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value != null).map(([name, value]) => [name, String(value)])
+);
+
+/**
+ * Each command runs the same handlers as its REST route, after the same key,
+ * scope and session checks. `toRequest` maps the payload onto the request.
+ */
+const COMMANDS = {
+  'send-message': {
+    scope: 'send',
+    requireConnected: false,
+    handlers: sendText,
+    toRequest: payload => ({ body: payload }),
+  },
+  'send-reaction': {
+    scope: 'send',
+    handlers: sendReaction,
+    toRequest: payload => ({ body: payload }),
+  },
+  'mark-read': {
+    scope: 'send',
+    handlers: [markRead],
+    toRequest: ({ jid }) => ({ params: { jid: String(jid ?? '') } }),
+  },
+  'fetch-history': {
+    scope: 'read',
+    handlers: [fetchHistory],
+    toRequest: ({ jid, ...query }) => ({ params: { jid: String(jid ?? '') }, query: toQuery(query) }),
+  },
+  typing: {
+    scope: 'send',
+    handlers: sendPresence,
+    toRequest: ({ jid, state = 'composing' }) => ({ body: { jid, state } }),
+  },
+};
+
+// Runs Express-style handlers against a stand-in response and resolves with what they sent.
+function runHandlers(handlers, req) {
+  return new Promise((resolve, reject) => {
+    let status = 200;
+    const res = {
+      status(code) {
+        status = code;
+        return res;
+      },
+      json(body) {
+        resolve({ status, body });
+        return res;
+      },
+    };
+    const next = index => err => {
+      if (err) return reject(err);
+      if (index >= handlers.length) return reject(new Error('Command handler sent no response.'));
+      Promise.resolve(handlers[index](req, res, next(index + 1))).catch(reject);
+    };
+    next(0)();
+  });
+}
+
+// Acks are `{ ok: true, status, data }` or `{ ok: false, status, error, errors? }`.
+const toAck = ({ status, body }) => (status < 400
+  ? { ok: true, status, data: body }
+  : {
+    ok: false,
+    status,
+    error: body?.error || (body?.errors ? 'Validation failed.' : 'Command failed.'),
+    ...(body?.errors && { errors: body.errors }),
+  });
+
+/**
+ * Runs a socket command for the client authenticated by `token` and resolves
+ * with its ack. Rate limits and payload checks are applied by the gateway.
+ */
+export async function executeCommand({ token, sessionId }, name, payload) {
+  const command = COMMANDS[name];
+  if (!command) return { ok: false, status: 404, error: `Unknown command \`${name}\`.` };
+
+  const { scope, requireConnected = true, handlers, toRequest } = command;
+  const result = authorize(token, sessionId, { scope, requireConnected });
+  if (result.error) return { ok: false, status: result.status, error: result.error };
+
+  const req = { params: {}, query: {}, body: {}, ...toRequest(payload), apiKey: result.key, session: result.session };
+  try {
+    return toAck(await runHandlers(handlers, req));
+  } catch (e) {
+    logger.error(`[${sessionId}] Socket command ${name} failed`, e);
+    return { ok: false, status: 500, error: e.message };
+  }
+}
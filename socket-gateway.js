@@ -0,0 +1,92 @@
+// @path: socket-gateway.js
+import { sessions } from './sessions.js';
+import { authorize } from './middleware/auth.js';
+import { replayEvents } from './event-log.js';
+
+// Commands clients may send; see `socket-commands.js`.
+export const SOCKET_COMMANDS = ['send-message', 'send-reaction', 'mark-read', 'fetch-history', 'typing'];
+
+const RATE_LIMIT = Number(process.env.SOCKET_COMMAND_LIMIT) || 60;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Replayable events carry their sequence number as a second argument, and
+// are not sent again to sockets that got them replayed.
+export function emitToSession(io, sessionId, event, payload, seq = null) {
+  if (seq === null) return io.to(sessionId).emit(event, payload);
+
+  const replayed = [...(io.sockets.adapter.rooms.get(sessionId) ?? [])]
+    .filter(id => io.sockets.sockets.get(id)?.data.replayedSeq >= seq);
+  io.to(sessionId).except(replayed).emit(event, payload, { seq });
+}
+
+function takeRateLimitSlot(socket) {
+  const now = Date.now();
+  const window = socket.data.commandWindow;
+  if (!window || now - window.start >= RATE_WINDOW_MS) {
+    socket.data.commandWindow = { start: now, count: 1 };
+    return 0;
+  }
+  if (window.count >= RATE_LIMIT) return window.start + RATE_WINDOW_MS - now;
+  window.count++;
+  return 0;
+}
+
+function registerSocketCommands(socket, executeCommand) {
+  const run = async (name, payload) => {
+    const retryInMs = takeRateLimitSlot(socket);
+    if (retryInMs) {
+      return { ok: false, status: 429, error: `Too many commands. Try again in ${Math.ceil(retryInMs / 1000)}s.` };
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return { ok: false, status: 400, error: 'Command payload must be an object.' };
+    }
+    return executeCommand({ token: socket.handshake.auth.token, sessionId: socket.data.sessionId }, name, payload);
+  };
+
+  for (const name of SOCKET_COMMANDS) {
+    socket.on(name, async (payload, ack) => {
+      // Called as `emit(name, ack)`, without a payload.
+      if (typeof payload === 'function') [payload, ack] = [{}, payload];
+      const response = await run(name, payload);
+      if (typeof ack === 'function') ack(response);
+    });
+  }
+}
+
+export const connectedClients = (io, sessionId) => io.sockets.adapter.rooms.get(sessionId)?.size ?? 0;
+
+/**
+ * Authenticates Socket.IO clients, puts each in its session's room, replays
+ * missed events and accepts commands. `executeCommand(auth, name, payload)`
+ * runs a command and resolves with its ack; `onClientsChange(sessionId, count)`
+ * is told how many clients a session has whenever one connects or leaves.
+ */
+export function attachSocketGateway(io, { executeCommand, onClientsChange = () => {} }) {
+  io.use((socket, next) => {
+    const { token, sessionId } = socket.handshake.auth;
+    const result = authorize(token, sessionId, { requireConnected: false });
+    if (result.error) return next(new Error(result.error));
+
+    socket.data.apiKey = result.key;
+    socket.data.sessionId = result.session.id;
+    next();
+  });
+
+  io.on('connection', socket => {
+    const sid = socket.data.sessionId;
+    const session = sessions.get(sid);
+    if (!session) return socket.disconnect(true);
+
+    socket.join(sid);
+    onClientsChange(sid, connectedClients(io, sid));
+    socket.on('disconnect', () => onClientsChange(sid, connectedClients(io, sid)));
+    registerSocketCommands(socket, executeCommand);
+    if (session.isAuthenticated) socket.emit('authenticated');
+
+    // A reconnecting client passes the last sequence number it saw.
+    const since = Number(socket.handshake.auth.since);
+    if (socket.handshake.auth.since != null && Number.isSafeInteger(since) && since >= 0) {
+      replayEvents(socket, sid, since);
+    }
+  });
+}
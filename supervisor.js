@@ -0,0 +1,280 @@
+// @path: supervisor.js
+import cluster from 'cluster';
+import http from 'http';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { Server } from 'socket.io';
+import client from 'prom-client';
+// Creates and migrates the tables before any worker opens the database.
+import './database.js';
+import { sessions } from './sessions.js';
+import { verifyApiKey, isGlobalAdmin } from './api-keys.js';
+import { attachSocketGateway, connectedClients, emitToSession } from './socket-gateway.js';
+import { logger } from './logger.js';
+
+dotenv.config();
+
+const PORT = Number(process.env.PORT) || 3007;
+const WORKER_COUNT = Number(process.env.WORKERS) || os.cpus().length;
+const SESSIONS_DIR = process.env.SESSIONS_DIR || './auth_sessions';
+const COMMAND_TIMEOUT_MS = 30 * 1000;
+const RESTART_DELAY_MS = 1000;
+const SHUTDOWN_TIMEOUT_MS = 15 * 1000;
+
+// Worker slots: `{ index, port, process, ready }`. A crashed worker is
+// replaced in the same slot, on the same port.
+const workers = [];
+// Sessions waiting for a worker: on startup, and after their worker crashed.
+const unassigned = new Set();
+const pendingCommands = new Map();
+let shuttingDown = false;
+// Collects and sums up the metrics of every worker.
+const metricsRegistry = new client.AggregatorRegistry();
+
+cluster.setupPrimary({ exec: fileURLToPath(new URL('./app.js', import.meta.url)) });
+
+const sendJson = (res, status, body) =>
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+const loadOf = worker => [...sessions.values()].filter(s => s.worker === worker).length;
+
+function leastLoadedWorker() {
+  const ready = workers.filter(w => w?.ready);
+  if (!ready.length) return null;
+  return ready.reduce((best, w) => (loadOf(w) < loadOf(best) ? w : best));
+}
+
+function assignSession(id, worker) {
+  sessions.set(id, { id, worker, isAuthenticated: false });
+  worker.process.send({ type: 'start-session', id });
+}
+
+function assignUnassigned() {
+  for (const id of unassigned) {
+    const worker = leastLoadedWorker();
+    if (!worker) return;
+    unassigned.delete(id);
+    // Logged out while its worker was down.
+    if (!fs.existsSync(path.join(SESSIONS_DIR, id))) continue;
+    assignSession(id, worker);
+  }
+}
+
+function handleWorkerMessage(worker, message) {
+  switch (message.type) {
+    case 'ready':
+      worker.ready = true;
+      logger.info(`Worker ${worker.index} ready on port ${worker.port}.`);
+      // On startup, wait for every worker so the sessions spread evenly.
+      if (workers.every(w => w.ready)) assignUnassigned();
+      break;
+    case 'session-started':
+      if (sessions.get(message.id)?.worker !== worker) {
+        sessions.set(message.id, { id: message.id, worker, isAuthenticated: false });
+      }
+      // The worker counts Socket.IO clients as activity, so it needs to know of
+      // those that connected before it took the session over.
+      if (connectedClients(io, message.id)) sendClients(message.id, connectedClients(io, message.id));
+      break;
+    case 'session-stopped':
+      if (sessions.get(message.id)?.worker === worker) sessions.delete(message.id);
+      break;
+    case 'event': {
+      const session = sessions.get(message.sessionId);
+      if (session && message.event === 'authenticated') session.isAuthenticated = true;
+      if (session && message.event === 'disconnected') session.isAuthenticated = false;
+      emitToSession(io, message.sessionId, message.event, message.payload, message.seq);
+      break;
+    }
+    case 'command-result':
+      pendingCommands.get(message.requestId)?.finish(message.result);
+      break;
+  }
+}
+
+function handleWorkerExit(worker, code, signal) {
+  worker.ready = false;
+  for (const [requestId, command] of pendingCommands) {
+    if (command.worker === worker) {
+      command.finish({ ok: false, status: 503, error: 'Session worker stopped. Try again.' });
+      pendingCommands.delete(requestId);
+    }
+  }
+  if (shuttingDown) {
+    if (!Object.keys(cluster.workers).length) process.exit(0);
+    return;
+  }
+
+  const moved = [...sessions.values()].filter(s => s.worker === worker).map(s => s.id);
+  moved.forEach(id => {
+    sessions.delete(id);
+    unassigned.add(id);
+  });
+  logger.error(`Worker ${worker.index} exited (${signal || code}); moving ${moved.length} session(s) to other workers.`);
+  assignUnassigned();
+  setTimeout(() => forkWorker(worker.index), RESTART_DELAY_MS);
+}
+
+function forkWorker(index) {
+  const port = PORT + 1 + index;
+  const worker = {
+    index,
+    port,
+    process: cluster.fork({ PORT: port, WORKER_INDEX: index }),
+    ready: false,
+  };
+  workers[index] = worker;
+  worker.process.on('message', message => handleWorkerMessage(worker, message));
+  worker.process.on('exit', (code, signal) => handleWorkerExit(worker, code, signal));
+}
+
+// Requests go to the worker running their session: the `X-Session-Id`
+// header, the `/sessions/:id` admin routes, or the only session of the API
+// key. Anything else, like creating a session, goes to the least loaded worker.
+function routeRequest(req) {
+  let sessionId = req.headers['x-session-id'];
+  // Matched as-is: an id that needed encoding goes to any worker, which answers 404.
+  const adminRoute = req.url.match(/^\/sessions\/([^/?]+)/);
+  if (!sessionId && adminRoute && sessions.has(adminRoute[1])) sessionId = adminRoute[1];
+  if (!sessionId) {
+    const key = verifyApiKey(req.headers.authorization?.split(' ')[1]);
+    if (key?.sessions.length === 1) sessionId = key.sessions[0];
+  }
+  const owner = sessionId && sessions.get(sessionId)?.worker;
+  return owner?.ready ? owner : leastLoadedWorker();
+}
+
+async function serveMetrics(req, res) {
+  const key = verifyApiKey(req.headers.authorization?.split(' ')[1]);
+  if (!key) return sendJson(res, 401, { error: 'Unauthorized: Invalid or missing API key.' });
+  if (!isGlobalAdmin(key)) return sendJson(res, 403, { error: 'Forbidden: Admin API key required.' });
+
+  try {
+    const metrics = await metricsRegistry.clusterMetrics();
+    res.writeHead(200, { 'Content-Type': metricsRegistry.contentType }).end(metrics);
+  } catch (e) {
+    logger.error(`/metrics failed: ${e.message}`);
+    sendJson(res, 500, { error: 'Failed to collect metrics.' });
+  }
+}
+
+const requestWorker = (worker, req, onResponse) => http.request({
+  host: '127.0.0.1',
+  port: worker.port,
+  method: req.method,
+  path: req.url,
+  headers: req.headers,
+  agent: false,
+}, onResponse);
+
+// Each worker lists the sessions it runs.
+async function serveSessionList(req, res) {
+  const ready = workers.filter(w => w?.ready);
+  try {
+    const responses = await Promise.all(ready.map(worker => new Promise((resolve, reject) => {
+      requestWorker(worker, req, workerRes => {
+        let body = '';
+        workerRes.setEncoding('utf8');
+        workerRes.on('data', chunk => { body += chunk; });
+        workerRes.on('end', () => {
+          try {
+            resolve({ status: workerRes.statusCode, body: JSON.parse(body) });
+          } catch (e) {
+            reject(e);
+          }
+        });
+        workerRes.on('error', reject);
+      }).on('error', reject).end();
+    })));
+    const failed = responses.find(r => r.status !== 200);
+    if (failed) return sendJson(res, failed.status, failed.body);
+    sendJson(res, 200, responses.flatMap(r => r.body));
+  } catch (e) {
+    logger.warn(`Listing sessions failed: ${e.message}`);
+    sendJson(res, 502, { error: 'Session worker unavailable. Try again.' });
+  }
+}
+
+function proxyRequest(req, res) {
+  const route = req.url.split('?')[0];
+  if (req.method === 'GET' && route === '/metrics') return serveMetrics(req, res);
+  if (req.method === 'GET' && route === '/sessions') return serveSessionList(req, res);
+
+  const worker = routeRequest(req);
+  if (!worker) return sendJson(res, 503, { error: 'No worker is available. Try again.' });
+
+  const upstream = requestWorker(worker, req, workerRes => {
+    res.writeHead(workerRes.statusCode, workerRes.headers);
+    workerRes.pipe(res);
+  });
+  upstream.on('error', e => {
+    logger.warn(`Proxying ${req.method} ${req.url} to worker ${worker.index} failed: ${e.message}`);
+    if (res.headersSent) res.destroy();
+    else sendJson(res, 502, { error: 'Session worker unavailable. Try again.' });
+  });
+  req.pipe(upstream);
+}
+
+// Socket commands run in the worker that owns the session.
+function executeCommand(auth, name, payload) {
+  const worker = sessions.get(auth.sessionId)?.worker;
+  if (!worker?.ready) {
+    return Promise.resolve({ ok: false, status: 503, error: 'Session worker unavailable. Try again.' });
+  }
+
+  return new Promise(resolve => {
+    const requestId = crypto.randomUUID();
+    const timer = setTimeout(() => {
+      pendingCommands.delete(requestId);
+      resolve({ ok: false, status: 504, error: 'Command timed out.' });
+    }, COMMAND_TIMEOUT_MS);
+    pendingCommands.set(requestId, {
+      worker,
+      finish: result => {
+        clearTimeout(timer);
+        pendingCommands.delete(requestId);
+        resolve(result);
+      },
+    });
+    worker.process.send({ type: 'command', requestId, auth, name, payload });
+  });
+}
+
+function sendClients(sessionId, count) {
+  const worker = sessions.get(sessionId)?.worker;
+  if (worker?.ready) worker.process.send({ type: 'clients', id: sessionId, count });
+}
+
+const server = http.createServer(proxyRequest);
+const io = new Server(server, { cors: { origin: process.env.CORS_ORIGIN || '*' } });
+attachSocketGateway(io, { executeCommand, onClientsChange: sendClients });
+
+if (fs.existsSync(SESSIONS_DIR)) {
+  fs.readdirSync(SESSIONS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .forEach(entry => unassigned.add(entry.name));
+}
+
+for (let i = 0; i < WORKER_COUNT; i++) forkWorker(i);
+
+server.listen(PORT, () => {
+  logger.info(`Supervisor listening on port ${PORT} with ${WORKER_COUNT} worker(s).`);
+});
+
+['SIGINT', 'SIGTERM'].forEach(sig =>
+  process.on(sig, () => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`Received ${sig}, stopping workers...`);
+    io.close();
+    Object.values(cluster.workers).forEach(w => w.process.kill('SIGTERM'));
+    setTimeout(() => {
+      Object.values(cluster.workers).forEach(w => w.process.kill('SIGKILL'));
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+  })
+);
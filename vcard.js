@@ -0,0 +1,58 @@
+// @path: vcard.js
+
+const unescapeValue = value => value.replace(/\\([\\,;nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+const escapeValue = value => String(value).replace(/[\\,;]/g, char => `\\${char}`).replace(/\r?\n/g, '\\n');
+
+// Unfolds continuation lines and splits each line into name, params and value.
+function parseLines(vcard) {
+  return vcard
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .map(line => {
+      const colon = line.indexOf(':');
+      if (colon < 0) return null;
+      const [name, ...params] = line.slice(0, colon).split(';');
+      return {
+        // Drops grouping prefixes such as `item1.TEL`.
+        name: name.split('.').pop().toUpperCase(),
+        params: params.map(param => param.toLowerCase()),
+        value: line.slice(colon + 1),
+      };
+    })
+    .filter(Boolean);
+}
+
+const paramValue = (params, key) => params.find(param => param.startsWith(`${key}=`))?.slice(key.length + 1) ?? null;
+
+/**
+ * Extracts the fields clients usually need from a vCard:
+ * `{ name, organization, phones: [{ number, waid }], emails }`.
+ */
+export function parseVcard(vcard) {
+  const parsed = { name: null, organization: null, phones: [], emails: [] };
+  if (!vcard) return parsed;
+
+  for (const { name, params, value } of parseLines(vcard)) {
+    if (name === 'FN') parsed.name = unescapeValue(value);
+    else if (name === 'ORG') parsed.organization = unescapeValue(value.split(';')[0]) || null;
+    else if (name === 'TEL') parsed.phones.push({ number: unescapeValue(value), waid: paramValue(params, 'waid') });
+    else if (name === 'EMAIL') parsed.emails.push(unescapeValue(value));
+  }
+  return parsed;
+}
+
+/**
+ * Builds a vCard 3.0 with the `waid` parameter WhatsApp uses to link a
+ * number to its account.
+ */
+export function buildVcard({ name, phones = [], organization, emails = [] }) {
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeValue(name)}`];
+  if (organization) lines.push(`ORG:${escapeValue(organization)};`);
+  for (const phone of phones) {
+    const waid = phone.replace(/\D/g, '');
+    lines.push(`TEL;type=CELL;type=VOICE;waid=${waid}:${escapeValue(phone)}`);
+  }
+  for (const email of emails) lines.push(`EMAIL:${escapeValue(email)}`);
+  lines.push('END:VCARD');
+  return lines.join('\n');
+}
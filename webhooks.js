@@ -0,0 +1,153 @@
+// @path: webhooks.js
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { requestPublicUrl } from './public-http.js';
+import {
+  getActiveWebhooks,
+  insertWebhookDelivery,
+  getDueWebhookDeliveries,
+  updateWebhookDelivery,
+  deleteOldWebhookDeliveries,
+  runInTransaction,
+} from './database.js';
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 15000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const POLL_INTERVAL_MS = 5000;
+const BATCH_SIZE = 20;
+const LOG_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+let isProcessing = false;
+let runScheduled = false;
+let lastPrunedAt = 0;
+let ownSessions = null;
+
+export const generateWebhookSecret = () => crypto.randomBytes(32).toString('hex');
+
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const retryDelay = attempts => {
+  const delay = Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+/**
+ * Queues `event` for every enabled webhook of the session whose filter
+ * matches. Deliveries are persisted first and sent by the worker, so
+ * nothing is lost if the receiver is down or the process restarts.
+ */
+export function dispatchWebhooks(sessionId, event, data) {
+  try {
+    const hooks = getActiveWebhooks.all({ session_id: sessionId }).filter(hook => {
+      const events = JSON.parse(hook.events);
+      return events.includes('*') || events.includes(event);
+    });
+    if (!hooks.length) return;
+
+    const now = Date.now();
+    runInTransaction(() => {
+      for (const hook of hooks) {
+        const id = crypto.randomUUID();
+        insertWebhookDelivery.run({
+          id,
+          webhook_id: hook.id,
+          session_id: sessionId,
+          event,
+          payload: JSON.stringify({ id, event, sessionId, timestamp: now, data: data ?? null }),
+          now,
+        });
+      }
+    });
+    scheduleWebhookRun();
+  } catch (e) {
+    logger.error(`[${sessionId}] Failed to queue webhooks for ${event}: ${e.message}`);
+  }
+}
+
+async function deliver(delivery) {
+  const timestamp = Date.now();
+  const attempts = delivery.attempts + 1;
+  let responseStatus = null;
+  let error = null;
+
+  try {
+    // Checked again on every delivery, as DNS may change; redirects are not followed.
+    const res = await requestPublicUrl(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(delivery.payload),
+        'User-Agent': 'WaMi-Webhooks/1.0',
+        'X-WaMi-Event': delivery.event,
+        'X-WaMi-Delivery': delivery.id,
+        'X-WaMi-Timestamp': String(timestamp),
+        'X-WaMi-Signature': `sha256=${signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`,
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+    });
+    responseStatus = res.statusCode;
+    res.resume();
+    if (responseStatus < 200 || responseStatus >= 300) error = `Receiver responded with HTTP ${responseStatus}`;
+  } catch (e) {
+    error = e.message;
+  }
+
+  const now = Date.now();
+  const status = !error ? 'delivered' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  updateWebhookDelivery.run({
+    id: delivery.id,
+    status,
+    attempts,
+    next_attempt_at: status === 'pending' ? now + retryDelay(attempts) : null,
+    response_status: responseStatus,
+    last_error: error,
+    now,
+  });
+
+  if (error) {
+    logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) attempt ${attempts} failed: ${error}`);
+  }
+}
+
+export async function processWebhookDeliveries() {
+  if (isProcessing) return;
+  isProcessing = true;
+  try {
+    const sessionIds = ownSessions ? JSON.stringify([...ownSessions.keys()]) : null;
+    let batch;
+    do {
+      batch = getDueWebhookDeliveries.all({ now: Date.now(), limit: BATCH_SIZE, session_ids: sessionIds });
+      await Promise.allSettled(batch.map(deliver));
+    } while (batch.length === BATCH_SIZE);
+
+    if (Date.now() - lastPrunedAt > 60 * 60 * 1000) {
+      lastPrunedAt = Date.now();
+      deleteOldWebhookDeliveries.run({ cutoff: lastPrunedAt - LOG_RETENTION_MS });
+    }
+  } catch (e) {
+    logger.error(`Webhook worker failed: ${e.message}`);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+export function scheduleWebhookRun() {
+  if (runScheduled) return;
+  runScheduled = true;
+  setImmediate(() => {
+    runScheduled = false;
+    processWebhookDeliveries();
+  });
+}
+
+// With `sessions`, only deliveries for those sessions are sent, so worker
+// processes don't deliver each other's.
+export function startWebhookWorker(sessions = null) {
+  ownSessions = sessions;
+  processWebhookDeliveries();
+  return setInterval(processWebhookDeliveries, POLL_INTERVAL_MS).unref();
+}
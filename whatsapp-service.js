@@ -8,6 +8,8 @@ import {
   DisconnectReason,
   jidNormalizedUser,
   jidDecode,
+  proto,
+  BufferJSON,
 } from '@whiskeysockets/baileys';
 import qr from 'qrcode';
 import path from 'path';
@@ -15,28 +17,111 @@ import dotenv from 'dotenv';
 import PQueue from 'p-queue';
 import { LRUCache } from 'lru-cache';
 import { logger } from './logger.js';
+import { prefetchMedia, thumbnailUrlFor } from './media-store.js';
+import { flushOutbox } from './outbox.js';
+import { applyGroupUpdates, applyParticipantsUpdate, syncGroups } from './groups.js';
+import { saveContacts } from './contacts.js';
+import {
+  applyChatCleared,
+  applyChatDeletes,
+  applyChatFlags,
+  applyChatUpdates,
+  applyReadElsewhere,
+  loadChat,
+} from './chats.js';
+import { applyMessageStatus, applyReceiptUpdates, outgoingStatus } from './receipts.js';
+import { applyPresenceUpdate, isAlwaysOnline } from './presence.js';
+import { parseVcard } from './vcard.js';
+import { messagesReceived, messagesSent, sessionDisconnects, sessionReconnects } from './metrics.js';
+import { recordActivity, recordConnected, recordDisconnect } from './session-info.js';
+import {
+  getPollCreation,
+  loadPolls,
+  storePoll,
+  applyPollVote,
+  applySyncedPollUpdates,
+  emitPollUpdate,
+} from './polls.js';
 import {
   insertMessage,
   upsertChat,
-  updateMessageStatus,
+  upsertChatActivity,
   getSingleMessage,
+  getMessageById,
   getOldestMessageDetails,
+  setChatHistoryExhausted,
   upsertReaction,
   deleteReaction,
+  getSingleMessageState,
+  revokeMessage,
+  editMessage,
+  deleteMessageForMe,
+  setSessionPaused,
   runInTransaction,
 } from './database.js';
 
 dotenv.config();
 const SESSIONS_DIR = process.env.SESSIONS_DIR || './auth_sessions';
-
-export const messageStore = new LRUCache({ max: 5000 });
+const HISTORY_FETCH_TIMEOUT_MS = 15000;
+
+// Shared by all sessions, so keyed by session as well as message id.
+const messageStore = new LRUCache({ max: 5000 });
+const messageCacheKey = (sessionId, messageId) => `${sessionId}:${messageId}`;
+
+/**
+ * Returns the full Baileys message for `messageId` of the session, from
+ * memory or from its stored `raw_message_data`.
+ */
+export function loadStoredMessage(sessionId, messageId) {
+  const cached = messageStore.get(messageCacheKey(sessionId, messageId));
+  if (cached) return cached;
+
+  const row = getMessageById.get({ message_id: messageId, session_id: sessionId });
+  if (!row?.raw_message_data) return null;
+  const message = JSON.parse(row.raw_message_data, BufferJSON.reviver);
+  messageStore.set(messageCacheKey(sessionId, messageId), message);
+  return message;
+}
 
 const isGroup = jid => jid.endsWith('@g.us');
-const getText = m => m?.conversation || m?.extendedTextMessage?.text || m?.caption || m?.reactionMessage?.text;
-const getType = m => [
+const getText = m => m?.conversation || m?.extendedTextMessage?.text || m?.caption || m?.reactionMessage?.text
+  || getPollCreation(m)?.name || m?.locationMessage?.name || m?.contactMessage?.displayName
+  || m?.contactsArrayMessage?.displayName;
+const getType = m => (getPollCreation(m) ? 'poll' : [
   'reaction', 'sticker', 'image', 'video', 'audio', 'document',
-  'location', 'contact', 'extendedText', 'conversation'
-].find(type => m?.[`${type}Message`] || (type === 'conversation' && m?.conversation));
+  'location', 'liveLocation', 'contact', 'contactsArray', 'extendedText', 'conversation'
+].find(type => m?.[`${type}Message`] || (type === 'conversation' && m?.conversation)));
+
+const toSharedContact = contact => ({
+  displayName: contact.displayName || null,
+  vcard: contact.vcard || null,
+  ...parseVcard(contact.vcard),
+});
+
+/**
+ * Returns the structured part of location and contact messages, stored as
+ * JSON in `messages.details` and spread into API payloads.
+ */
+function extractDetails(content, type) {
+  if (type === 'location' || type === 'liveLocation') {
+    return {
+      location: {
+        latitude: content.degreesLatitude ?? null,
+        longitude: content.degreesLongitude ?? null,
+        name: content.name || null,
+        address: content.address || null,
+        url: content.url || null,
+        isLive: type === 'liveLocation',
+        accuracyInMeters: content.accuracyInMeters ?? null,
+      },
+    };
+  }
+  if (type === 'contact') return { contacts: [toSharedContact(content)] };
+  if (type === 'contactsArray') return { contacts: (content.contacts || []).map(toSharedContact) };
+  return null;
+}
+
+export const parseDetails = details => (details ? JSON.parse(details) : {});
 
 function extractMediaDetails(content, key, type) {
   let media_url = null, mimetype = null, media_sha256 = null;
@@ -58,27 +143,39 @@ function extractMediaDetails(content, key, type) {
 
 async function processMessages(session, messages, isHistorical = false) {
   const messageInserts = [];
+  const mediaItems = [];
   const chatMap = new Map();
+  const polls = [];
+  const pollVotes = [];
 
   for (const m of messages) {
     try {
       if (!m?.message || !m?.key?.id) continue;
+      // Deletes and edits arrive as `messages.update` events.
+      if (m.message.protocolMessage || m.message.editedMessage) continue;
+      if (m.message.pollUpdateMessage) {
+        pollVotes.push(m);
+        continue;
+      }
       const type = getType(m.message);
       if (type === 'reaction') continue;
 
-      messageStore.set(m.key.id, m);
+      messageStore.set(messageCacheKey(session.id, m.key.id), m);
+      if (type === 'poll') polls.push(m);
 
       const content = m.message[`${type}Message`] || m.message;
       const { media_url, mimetype, media_sha256 } = extractMediaDetails(content, m.key, type);
+      const details = extractDetails(content, type);
 
       const msg = {
         message_id: m.key.id,
         session_id: session.id,
         jid: m.key.remoteJid,
         text: getText(m.message) || '',
+        caption: content?.caption || null,
         type,
         isOutgoing: m.key.fromMe ? 1 : 0,
-        status: m.key.fromMe ? 'read' : 'received',
+        status: m.key.fromMe ? outgoingStatus(m.status) : 'received',
         timestamp: Number(m.messageTimestamp) * 1000,
         participant: m.key.fromMe ? null : m.key.participant,
         sender_name: m.pushName || null,
@@ -88,15 +185,19 @@ async function processMessages(session, messages, isHistorical = false) {
         quoted_message_text: getText(content?.contextInfo?.quotedMessage) || null,
         media_sha256,
         raw_message_data: JSON.stringify(m),
+        details: details && JSON.stringify(details),
       };
 
       messageInserts.push(msg);
+      if (media_url) {
+        mediaItems.push({ message: m, type, sha256: media_sha256, size: Number(content.fileLength) || null });
+      }
 
       if (!isHistorical) {
         const isGroupChat = isGroup(msg.jid);
-        const name = isGroupChat
-          ? session.sock.store?.chats?.[msg.jid]?.name || msg.jid.split('@')[0]
-          : msg.sender_name || msg.jid.split('@')[0];
+        // Only a 1:1 chat's own incoming messages carry its name; group
+        // subjects and saved contact names are resolved when chats are read.
+        const name = isGroupChat || msg.isOutgoing ? null : msg.sender_name;
 
         const prev = chatMap.get(msg.jid) || { last_message_timestamp: 0, unread_count: 0 };
         const unread = prev.unread_count + (msg.isOutgoing ? 0 : 1);
@@ -105,7 +206,7 @@ async function processMessages(session, messages, isHistorical = false) {
           chatMap.set(msg.jid, {
             session_id: msg.session_id,
             jid: msg.jid,
-            name,
+            name: name ?? prev.name ?? null,
             is_group: isGroupChat ? 1 : 0,
             last_message: msg.text || msg.type,
             last_message_timestamp: msg.timestamp,
@@ -122,15 +223,28 @@ async function processMessages(session, messages, isHistorical = false) {
 
   if (messageInserts.length) {
     runInTransaction(() => {
-      messageInserts.forEach(insertMessage.run);
-      [...chatMap.values()].forEach(upsertChat.run);
+      messageInserts.forEach(msg => insertMessage.run(msg));
+      chatMap.forEach(chat => upsertChatActivity.run(chat));
+      for (const m of polls) {
+        storePoll(session.id, m, getPollCreation(m.message));
+        if (isHistorical) applySyncedPollUpdates(session, m);
+      }
     });
 
     if (!isHistorical) {
+      for (const m of messageInserts) {
+        (m.isOutgoing ? messagesSent : messagesReceived).inc({ session: session.id, type: m.type });
+      }
+      if (messageInserts.length) recordActivity(session);
+      for (const chat of chatMap.values()) {
+        if (chat.unread_count) session.io.emit('chat-update', loadChat(session.id, chat.jid));
+      }
+      const pollDetails = loadPolls(session.id, polls.map(m => m.key.id));
       session.io.emit('whatsapp-message', messageInserts.map(m => ({
         id: m.message_id,
         jid: m.jid,
         text: m.text,
+        caption: m.caption,
         type: m.type,
         isOutgoing: m.isOutgoing,
         status: m.status,
@@ -138,16 +252,73 @@ async function processMessages(session, messages, isHistorical = false) {
         name: m.sender_name,
         media_url: m.media_url,
         mimetype: m.mimetype,
+        thumbnail_url: thumbnailUrlFor(m.type, m.message_id),
         quoted_message_id: m.quoted_message_id,
         quoted_message_text: m.quoted_message_text,
         reactions: {},
+        ...parseDetails(m.details),
+        ...(pollDetails.has(m.message_id) && { poll: pollDetails.get(m.message_id) }),
       })));
     }
+
+    prefetchMedia(session, mediaItems, isHistorical);
+  }
+
+  const updatedPolls = new Set();
+  for (const m of pollVotes) {
+    const pollKey = m.message.pollUpdateMessage.pollCreationMessageKey;
+    const pollId = applyPollVote(session, m, pollKey?.id && loadStoredMessage(session.id, pollKey.id));
+    if (pollId) updatedPolls.add(pollId);
   }
+  if (!isHistorical) updatedPolls.forEach(pollId => emitPollUpdate(session, pollId));
 
   return messages.length;
 }
 
+const emitMessageUpdate = (session, jid, id) => {
+  const row = getSingleMessageState.get({ session_id: session.id, message_id: id });
+  session.io.emit('whatsapp-message-update', row ? {
+    id,
+    jid,
+    text: row.text,
+    caption: row.caption,
+    isDeleted: !!row.is_deleted,
+    deletedAt: row.deleted_at,
+    editedAt: row.edited_at,
+  } : { id, jid, isDeleted: true, deletedFor: 'me' });
+};
+
+export function applyMessageRevoke(session, key, deletedAt = Date.now()) {
+  const { changes } = revokeMessage.run({ session_id: session.id, message_id: key.id, deleted_at: deletedAt });
+  if (changes) emitMessageUpdate(session, key.remoteJid, key.id);
+}
+
+export function applyMessageDeleteForMe(session, key) {
+  if (deleteMessageForMe({ session_id: session.id, message_id: key.id })) {
+    emitMessageUpdate(session, key.remoteJid, key.id);
+  }
+}
+
+/**
+ * Applies an edit to a stored message. `edited` is the replacement message
+ * content; a new caption replaces the caption, anything else the text.
+ */
+export function applyMessageEdit(session, key, edited, editedAt = Date.now()) {
+  const type = getType(edited);
+  const caption = edited?.[`${type}Message`]?.caption ?? null;
+  const text = caption === null ? getText(edited) ?? null : null;
+  if (text === null && caption === null) return;
+
+  const { changes } = editMessage.run({
+    session_id: session.id,
+    message_id: key.id,
+    text,
+    caption,
+    edited_at: editedAt,
+  });
+  if (changes) emitMessageUpdate(session, key.remoteJid, key.id);
+}
+
 export function normalizeJid(input) {
   try {
     const j = jidNormalizedUser(input);
@@ -158,7 +329,27 @@ export function normalizeJid(input) {
   }
 }
 
-export async function fetchMoreMessages(session, jid) {
+// On-demand history arrives asynchronously through `messaging-history.set`;
+// resolves with the number of messages received for `jid` (null on timeout).
+function waitForHistory(session, jid, getRequestId) {
+  const { ev } = session.sock;
+  return new Promise(resolve => {
+    const onHistory = ({ messages, syncType, peerDataRequestSessionId }) => {
+      if (syncType !== proto.HistorySync.HistorySyncType.ON_DEMAND) return;
+      const count = messages.filter(m => m.key?.remoteJid === jid).length;
+      if (count || (peerDataRequestSessionId && peerDataRequestSessionId === getRequestId())) done(count);
+    };
+    const timer = setTimeout(() => done(null), HISTORY_FETCH_TIMEOUT_MS);
+    function done(count) {
+      clearTimeout(timer);
+      ev.off('messaging-history.set', onHistory);
+      resolve(count);
+    }
+    ev.on('messaging-history.set', onHistory);
+  });
+}
+
+export async function fetchMoreMessages(session, jid, count = 50) {
   const normalizedJid = normalizeJid(jid);
   if (!normalizedJid) return 0;
 
@@ -168,16 +359,112 @@ export async function fetchMoreMessages(session, jid) {
   const key = { remoteJid: normalizedJid, id: oldest.message_id, fromMe: oldest.isOutgoing === 1 };
   if (!key.fromMe && isGroup(normalizedJid)) key.participant = oldest.participant;
 
-  const messages = await session.sock.fetchMessageHistory(normalizedJid, 50, key);
-  if (messages.length) await processMessages(session, messages, true);
-  return messages.length;
+  let requestId = null;
+  const received = waitForHistory(session, normalizedJid, () => requestId);
+  requestId = await session.sock.fetchMessageHistory(count, key, Math.floor(oldest.timestamp / 1000));
+  const fetched = await received;
+  // An answered request with nothing in it means the phone has no older
+  // messages; a timeout tells us nothing.
+  if (fetched === 0) setChatHistoryExhausted.run({ session_id: session.id, jid: normalizedJid });
+  return fetched ?? 0;
+}
+
+const PAIRING_CODE_TTL_MS = 60 * 1000;
+
+function clearPairingState(session) {
+  clearTimeout(session.pairingCodeTimer);
+  session.pairingCode = null;
+  session.pairingCodeExpiresAt = null;
+}
+
+async function issuePairingCode(session) {
+  clearPairingState(session);
+  const code = await session.sock.requestPairingCode(session.pairingPhoneNumber);
+  const expiresAt = Date.now() + PAIRING_CODE_TTL_MS;
+
+  session.pairingCode = code;
+  session.pairingCodeExpiresAt = expiresAt;
+  session.pairingCodeTimer = setTimeout(() => refreshPairingCode(session), PAIRING_CODE_TTL_MS);
+
+  logger.info(`[${session.id}] Pairing code issued for +${session.pairingPhoneNumber}.`);
+  session.io.emit('pairing-code', { code, expiresAt });
+  for (const resolve of session.pairingWaiters?.splice(0) || []) resolve(code);
+  return code;
+}
+
+// Codes are short-lived: tell clients the old one is gone and issue a fresh
+// one while the socket is still waiting for login.
+async function refreshPairingCode(session) {
+  clearPairingState(session);
+  session.io.emit('pairing-code-expired');
+  if (!session.sock || session.isAuthenticated || session.loginMethod !== 'pairing') return;
+
+  try {
+    await issuePairingCode(session);
+  } catch (e) {
+    logger.warn(`[${session.id}] Failed to refresh pairing code: ${e.message}`);
+  }
+}
+
+/**
+ * Switches a session that is not logged in yet to phone-number pairing and
+ * resolves with the next pairing code, or null if none arrives in time.
+ * If the socket is already waiting for login the code is requested now,
+ * otherwise on its next QR event.
+ */
+export async function startPairing(session, phoneNumber, timeoutMs = 30000) {
+  session.loginMethod = 'pairing';
+  session.pairingPhoneNumber = phoneNumber;
+  session.latestQR = null;
+
+  const next = new Promise(resolve => {
+    const timer = setTimeout(() => resolve(null), timeoutMs);
+    (session.pairingWaiters ??= []).push(code => {
+      clearTimeout(timer);
+      resolve(code);
+    });
+  });
+
+  if (session.awaitingLogin) await issuePairingCode(session);
+  return next;
+}
+
+export function endWhatsappSession(session, reason = 'Session stopped') {
+  clearPairingState(session);
+  session.awaitingLogin = false;
+  clearTimeout(session.reconnectTimer);
+  session.generation = (session.generation ?? 0) + 1;
+  const { sock } = session;
+  session.sock = null;
+  session.isAuthenticated = false;
+  if (!sock) return;
+
+  sock.ev.removeAllListeners('connection.update');
+  sock.end(new Error(reason));
+}
+
+// Disconnects the session but keeps its credentials; it stays offline,
+// across restarts too, until resumed.
+export function pauseSession(session, reason = 'Session paused') {
+  session.paused = true;
+  setSessionPaused.run({ session_id: session.id, paused: 1 });
+  endWhatsappSession(session, reason);
+  // Ending the connection ourselves emits no close event, so clients are told here.
+  session.io.emit('disconnected');
 }
 
 export async function createWhatsappSession(session, onLogout) {
+  // Stopping the session or starting it again while this one is still
+  // loading makes it give up instead of opening a second socket.
+  const generation = session.generation = (session.generation ?? 0) + 1;
   try {
     const { version } = await fetchLatestBaileysVersion();
     const authPath = path.join(SESSIONS_DIR, session.id);
     const { state, saveCreds } = await useMultiFileAuthState(authPath);
+    if (session.paused || session.generation !== generation) {
+      logger.info(`[${session.id}] Session was stopped or restarted while starting; not connecting.`);
+      return;
+    }
 
     const sock = makeWASocket({
       version,
@@ -185,10 +472,12 @@ export async function createWhatsappSession(session, onLogout) {
       syncFullHistory: true,
       auth: { creds: state.creds, keys: makeCacheableSignalKeyStore(state.keys) },
       emitOwnEvents: true,
-      getMessage: async key => messageStore.get(key.id),
+      markOnlineOnConnect: isAlwaysOnline(session.id),
+      getMessage: async key => messageStore.get(messageCacheKey(session.id, key.id)),
     });
 
     session.messageQueue = new PQueue({ concurrency: 1, interval: 1000, intervalCap: 2 });
+    session.mediaQueue ??= new PQueue({ concurrency: 2 });
     session.sock = sock;
     session.fetchMoreMessages = jid => fetchMoreMessages(session, jid);
 
@@ -196,23 +485,35 @@ export async function createWhatsappSession(session, onLogout) {
 
     sock.ev.on('connection.update', async ({ connection, qr: qrCode, lastDisconnect }) => {
       try {
-if (qrCode) {
-  logger.info(`[${session.id}] QR code received, generating data URL...`);
-  const qrDataURL = await qr.toDataURL(qrCode);
-  session.latestQR = qrDataURL;
-
-  setTimeout(() => {
-    session.io.emit('qr', qrDataURL);
-    logger.info(`[${session.id}] QR code sent to client (after delay).`);
-  }, 3000); // 3-second delay
-}
-
+        if (qrCode) session.awaitingLogin = true;
+
+        if (qrCode && session.loginMethod === 'pairing') {
+          // A QR means the socket is ready for login; pair by code instead.
+          if (!session.pairingCode) await issuePairingCode(session);
+        } else if (qrCode) {
+          logger.info(`[${session.id}] QR code received, generating data URL...`);
+          const qrDataURL = await qr.toDataURL(qrCode);
+          session.latestQR = qrDataURL;
+
+          setTimeout(() => {
+            session.io.emit('qr', qrDataURL);
+            logger.info(`[${session.id}] QR code sent to client (after delay).`);
+          }, 3000); // 3-second delay
+        }
 
         if (connection === 'open') {
           session.isAuthenticated = true;
+          session.awaitingLogin = false;
           session.latestQR = null;
+          session.presenceSubscriptions?.clear();
+          clearPairingState(session);
           logger.info(`[${session.id}] WhatsApp connection opened.`);
+          recordConnected(session);
           session.io.emit('authenticated');
+          flushOutbox(session).catch(err =>
+            logger.error(`[${session.id}] Failed to flush outbox: ${err.message}`)
+          );
+          syncGroups(session);
         }
 
         if (connection === 'close') {
@@ -223,8 +524,12 @@ if (qrCode) {
           }
           
           session.isAuthenticated = false;
+          session.awaitingLogin = false;
+          clearPairingState(session);
           const code = lastDisconnect?.error?.output?.statusCode;
           logger.warn(`[${session.id}] WhatsApp connection closed. Code: ${code}`);
+          sessionDisconnects.inc({ session: session.id, code: String(code ?? 'unknown') });
+          recordDisconnect(session, code);
           session.io.emit('disconnected');
 
           const isUnrecoverable = [
@@ -239,7 +544,8 @@ if (qrCode) {
             onLogout();
           } else {
             logger.info(`[${session.id}] Retrying connection in 10 seconds...`);
-            setTimeout(() => createWhatsappSession(session, onLogout), 10000);
+            sessionReconnects.inc({ session: session.id });
+            session.reconnectTimer = setTimeout(() => createWhatsappSession(session, onLogout), 10000);
           }
         }
       } catch (e) {
@@ -247,7 +553,8 @@ if (qrCode) {
       }
     });
 
-    sock.ev.on('messaging-history.set', async ({ chats, messages }) => {
+    sock.ev.on('messaging-history.set', async ({ chats, contacts = [], messages }) => {
+      saveContacts(session, contacts);
       runInTransaction(() => {
         for (const c of chats) {
           upsertChat.run({
@@ -259,6 +566,12 @@ if (qrCode) {
             last_message_timestamp: null,
             unread_count: c.unreadCount || 0,
           });
+          // Only set flags are applied: on-demand history omits them. The pin time is in seconds here.
+          applyChatFlags({ session_id: session.id, jid: c.id }, {
+            archived: c.archived || undefined,
+            pinned: c.pinned ? Number(c.pinned) * 1000 : undefined,
+            muteEndTime: c.muteEndTime ? Number(c.muteEndTime) : undefined,
+          });
         }
       });
       await processMessages(session, messages, true);
@@ -271,34 +584,42 @@ if (qrCode) {
     });
 
     sock.ev.on('messages.update', updates => {
+      const readElsewhere = [];
       for (const { key, update } of updates) {
-        if (!key.fromMe) continue;
-        const status = { 4: 'delivered', 5: 'read' }[update?.status];
-        if (status) {
-          updateMessageStatus.run({ status, id: key.id });
-          session.io.emit('whatsapp-message-status-update', { id: key.id, status });
+        if (update?.messageStubType === proto.WebMessageInfo.StubType.REVOKE && update.message === null) {
+          applyMessageRevoke(session, key);
+          continue;
+        }
+        const edited = update?.message?.editedMessage?.message;
+        if (edited) {
+          const editedAt = update.messageTimestamp ? Number(update.messageTimestamp) * 1000 : Date.now();
+          applyMessageEdit(session, key, edited, editedAt);
+          continue;
         }
+        if (!key.fromMe) {
+          // Our own receipt for a message someone sent us: it was read on another device.
+          if (update?.status >= proto.WebMessageInfo.Status.READ) readElsewhere.push(key);
+          continue;
+        }
+        if (update?.status) applyMessageStatus(session, key, update.status);
       }
+      applyReadElsewhere(session, readElsewhere);
     });
 
-    sock.ev.on('chats.update', updates => {
-      runInTransaction(() => {
-        for (const update of updates) {
-          if (update.id && update.name) {
-            upsertChat.run({
-              session_id: session.id,
-              jid: update.id,
-              name: update.name,
-              is_group: isGroup(update.id) ? 1 : 0,
-              last_message: null,
-              last_message_timestamp: null,
-              unread_count: null,
-            });
-          }
-        }
-      });
+    // Group receipts arrive here instead; one for a message we received is our own, sent by another device.
+    sock.ev.on('message-receipt.update', updates => {
+      applyReceiptUpdates(session, updates);
+      applyReadElsewhere(session, updates.filter(({ key, receipt }) => !key.fromMe && receipt?.readTimestamp).map(({ key }) => key));
+    });
+
+    sock.ev.on('messages.delete', item => {
+      if (item.all) return applyChatCleared(session, item.jid);
+      for (const key of item.keys || []) applyMessageDeleteForMe(session, key);
     });
 
+    sock.ev.on('chats.update', updates => applyChatUpdates(session, updates));
+    sock.ev.on('chats.delete', jids => applyChatDeletes(session, jids));
+
     sock.ev.on('messages.reaction', reactions => {
       const updates = new Map();
       runInTransaction(() => {
@@ -320,6 +641,15 @@ if (qrCode) {
         }
       }
     });
+
+    sock.ev.on('presence.update', update => applyPresenceUpdate(session, update));
+
+    sock.ev.on('contacts.upsert', contacts => saveContacts(session, contacts));
+    sock.ev.on('contacts.update', contacts => saveContacts(session, contacts));
+
+    sock.ev.on('groups.upsert', groups => applyGroupUpdates(session, groups));
+    sock.ev.on('groups.update', updates => applyGroupUpdates(session, updates));
+    sock.ev.on('group-participants.update', update => applyParticipantsUpdate(session, update));
   } catch (err) {
     logger.error(`Failed to create WhatsApp session: ${err.message}`, err);
   }
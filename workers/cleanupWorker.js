@@ -6,9 +6,6 @@ import { deleteSessionData } from '../database.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-// Umbral de inactividad para sesiones en memoria (24 h), congelado para evitar cambios
-const STALE_SESSION_THRESHOLD_MS = Object.freeze(24 * 60 * 60 * 1000);
-
 /**
  * Elimina recursivamente carpetas vacías dentro de `dir`.
  * @param {string} dir - Ruta de la carpeta a inspeccionar.
@@ -81,9 +78,10 @@ async function cleanupAuthSessionDirs({ AUTH_SESSIONS_DIR, logger }) {
 }
 
 /**
- * Limpia sesiones en memoria que estén no autenticadas o inactivas.
+ * Limpia sesiones en memoria no autenticadas y pausa las inactivas
+ * (solo si `idlePauseMs` está definido).
  */
-function cleanupInMemorySessions({ sessions, createOnLogout, logger }) {
+function cleanupInMemorySessions({ sessions, createOnLogout, pauseSession, idlePauseMs, logger }) {
   let cleanedCount = 0;
   const now = Date.now();
 
@@ -91,16 +89,24 @@ function cleanupInMemorySessions({ sessions, createOnLogout, logger }) {
     let shouldCleanup = false;
     let reason = '';
 
+    // Las sesiones pausadas siguen desconectadas a propósito
+    if (session.paused) continue;
+
     try {
       if (!session.isAuthenticated) {
         shouldCleanup = true;
         reason = 'Session in memory is not authenticated';
       } else if (
+        idlePauseMs &&
+        !session.connectedClients &&
         session.lastActivity != null &&
-        now - session.lastActivity > STALE_SESSION_THRESHOLD_MS
+        now - session.lastActivity > idlePauseMs
       ) {
-        shouldCleanup = true;
-        reason = 'Session in memory is stale (inactive)';
+        // Inactiva: se desconecta pero conserva sus credenciales
+        logger.warn(`[${id}] Session is idle (lastActivity: ${session.lastActivity}), pausing.`);
+        pauseSession(session, 'Session idle');
+        cleanedCount++;
+        continue;
       }
 
       if (shouldCleanup) {
@@ -191,7 +197,10 @@ export async function runCleanupWorker({
   SESSIONS_DIR = path.resolve(__dirname, '../sessions'),
   AUTH_SESSIONS_DIR = path.resolve(__dirname, '../auth_sessions'),
   createOnLogout = () => () => {},
+  pauseSession = () => {},
+  idlePauseMs = null,
   logger = console,
+  cleanOrphans = true,
 } = {}) {
   logger.info('Running session cleanup worker...');
 
@@ -203,8 +212,9 @@ export async function runCleanupWorker({
   ] = await Promise.all([
     cleanupAuthSessionDirs({ AUTH_SESSIONS_DIR, logger }),
     // envolver en Promise.resolve para metodología uniforme
-    Promise.resolve(cleanupInMemorySessions({ sessions, createOnLogout, logger })),
-    cleanupOrphanSessions({ sessions, SESSIONS_DIR, logger })
+    Promise.resolve(cleanupInMemorySessions({ sessions, createOnLogout, pauseSession, idlePauseMs, logger })),
+    // Un worker del supervisor solo conoce sus propias sesiones: las demás no son huérfanas
+    cleanOrphans ? cleanupOrphanSessions({ sessions, SESSIONS_DIR, logger }) : 0
   ]);
 
   const totalCleaned = authCleaned + memoryCleaned + orphanCleaned;